@@ -0,0 +1,89 @@
+// scripts/trainPickModel.mjs
+// Offline trainer for the Learned bot strategy. Reads a 17lands-style pick log (one row per
+// pick with `pick`, `pack_card_<name>` and `pool_<name>` columns) and the set's ratings.csv,
+// fits the pick model in src/utils/pickModel.js and writes its weights to
+// public/data/sets/<code>/pick_model.json.
+//
+// Usage: npm run train-picks -- <set code> <pick log.csv> [--limit 200000] [--epochs 20]
+//
+// The app's modules under src/ are ES modules in a package without "type": "module", so the
+// train-picks script runs Node with module syntax detection on (Node 20.11 or later).
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Papa from 'papaparse';
+import { parseRatingsCsv } from '../src/utils/ratings.js';
+import {
+  PICK_MODEL_VERSION,
+  PICK_MODEL_FEATURES,
+  getPickEvent,
+  getPickLogLoss,
+  trainPickModel,
+} from '../src/utils/pickModel.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const parseArgs = (argv) => {
+  const [setCode, logPath, ...rest] = argv;
+  const options = { limit: 200000, epochs: 20 };
+  for (let i = 0; i < rest.length; i += 2) {
+    const name = rest[i].replace(/^--/, '');
+    if (!(name in options)) throw new Error(`Unknown option: ${rest[i]}`);
+    options[name] = parseInt(rest[i + 1], 10);
+  }
+  if (!setCode || !logPath) {
+    throw new Error('Usage: npm run train-picks -- <set code> <pick log.csv> [--limit N] [--epochs N]');
+  }
+  return { setCode: setCode.toLowerCase(), logPath, ...options };
+};
+
+// Stream the pick log so full 17lands exports don't have to fit in memory as text
+const readPickEvents = (logPath, ratings, limit) =>
+  new Promise((resolve, reject) => {
+    const events = [];
+    Papa.parse(fs.createReadStream(logPath), {
+      header: true,
+      skipEmptyLines: true,
+      step: (results, parser) => {
+        const event = getPickEvent(results.data, ratings);
+        if (event) events.push(event);
+        if (events.length >= limit) parser.abort();
+      },
+      complete: () => resolve(events),
+      error: reject,
+    });
+  });
+
+const main = async () => {
+  const { setCode, logPath, limit, epochs } = parseArgs(process.argv.slice(2));
+  const setDir = path.join(root, 'public', 'data', 'sets', setCode);
+
+  const ratings = await parseRatingsCsv(fs.readFileSync(path.join(setDir, 'ratings.csv'), 'utf8'));
+  const events = await readPickEvents(logPath, ratings, limit);
+  if (events.length === 0) {
+    throw new Error(`No usable picks in ${logPath}.`);
+  }
+
+  // Hold out every tenth pick to report how well the weights generalize
+  const train = events.filter((_, i) => i % 10 !== 0);
+  const holdout = events.filter((_, i) => i % 10 === 0);
+  const weights = trainPickModel(train, { epochs });
+
+  const model = {
+    version: PICK_MODEL_VERSION,
+    set: setCode,
+    features: PICK_MODEL_FEATURES,
+    weights,
+    trainedOn: { picks: train.length, heldOut: holdout.length },
+    logLoss: Number(getPickLogLoss(holdout.length > 0 ? holdout : train, weights).toFixed(4)),
+  };
+
+  const outPath = path.join(setDir, 'pick_model.json');
+  fs.writeFileSync(outPath, `${JSON.stringify(model, null, 2)}\n`);
+  console.log(`Trained on ${train.length} picks (held-out log loss ${model.logLoss}); wrote ${outPath}`);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { act } from 'react-dom/test-utils';
 import axios from 'axios';
 import Papa from 'papaparse';
@@ -6,6 +6,138 @@ import Card from './components/Card/Card';
 import Pack from './components/Pack/Pack';
 import Deck from './components/Deck/Deck';
 import Sideboard from './components/Sideboard/Sideboard';
+import CubeLoader from './components/CubeLoader/CubeLoader';
+import RochesterDraft from './components/RochesterDraft/RochesterDraft';
+import WinstonDraft from './components/WinstonDraft/WinstonDraft';
+import GridDraft from './components/GridDraft/GridDraft';
+import PickTimer from './components/PickTimer/PickTimer';
+import BotDecks from './components/BotDecks/BotDecks';
+import SuggestionPanel from './components/SuggestionPanel/SuggestionPanel';
+import SettingInput from './components/SettingInput/SettingInput';
+import { generatePack, resolveCollationProfile, withCopyIds, BOOSTER_PROFILES } from './utils/collation';
+import { createRng, generateSeed, pickRandom, shuffle } from './utils/random';
+import { parseCubeList, buildCubePool, generateCubePacks } from './utils/cube';
+import { openRochesterPack, getActiveSeat, advanceRochester } from './utils/rochester';
+import {
+  createWinstonState,
+  canPassWinstonPile,
+  takeWinstonPile,
+  passWinstonPile,
+  isWinstonOver,
+  chooseWinstonAction,
+} from './utils/winston';
+import { GRID_COUNT, GRID_CARD_COUNT, openGrid, getGridPicker, takeGridLine, chooseGridLine } from './utils/grid';
+import { createChaosPlan, getPackSet, getPlanSets, evenOutRounds } from './utils/setPlan';
+import { DEFAULT_SECONDS_PER_CARD, getPickSeconds } from './utils/pickTimer';
+import {
+  BOT_STRATEGIES,
+  BOT_STRATEGY_IDS,
+  DEFAULT_BOT_STRATEGY,
+  BOT_DIFFICULTIES,
+  BOT_DIFFICULTY_IDS,
+  DEFAULT_BOT_DIFFICULTY,
+  getColorWeight,
+  withPickNoise,
+  pickWithStrategy,
+} from './utils/bots';
+import { recordSignals } from './utils/signals';
+import { COLOR_NAMES, getColorWeights, updateCommittedColors, isFlexible } from './utils/colorCommitment';
+import { rankSuggestions } from './utils/explainScore';
+import { getCardColors, getPickFeatures, scoreWithPickModel, parsePickModel } from './utils/pickModel';
+import { parseRatingsCsv, getTakenAtScore, getEquivalentAta, getWinRateScore } from './utils/ratings';
+import { getPoolProfile, getNeedsScore } from './utils/deckNeeds';
+import { getSynergyProfile, getSynergy } from './utils/synergy';
+import { evaluateCard } from './utils/cardEvaluator';
+import { buildBotDeck, createBasicLand } from './utils/deckBuilder';
+
+// Pause between bot turns in Rochester, Winston and Grid drafts so each one can be seen
+const BOT_TURN_DELAY_MS = 600;
+
+// Winston is played with six boosters shuffled into one stack
+const WINSTON_PACKS = 6;
+
+// Fetch every page of a Scryfall card search (query must already be URL-encoded)
+const fetchScryfallCards = async (encodedQuery) => {
+  let allCards = [];
+  let page = 1;
+  let hasMore = true;
+
+  while (hasMore) {
+    const response = await axios.get(
+      `https://api.scryfall.com/cards/search?order=set&q=${encodedQuery}&page=${page}`
+    );
+    allCards = [...allCards, ...response.data.data];
+    hasMore = response.data.has_more;
+    page += 1;
+  }
+
+  return allCards;
+};
+
+// Resolve card names through Scryfall's collection endpoint (75 names per request)
+const fetchCardsByName = async (names) => {
+  let found = [];
+  for (let i = 0; i < names.length; i += 75) {
+    const response = await axios.post('https://api.scryfall.com/cards/collection', {
+      identifiers: names.slice(i, i + 75).map((name) => ({ name })),
+    });
+    found = [...found, ...response.data.data];
+  }
+  return found;
+};
+
+// Load a set's collation.json; sets without one get the default booster for their release date
+const loadCollationProfile = async (setCode, releasedAt) => {
+  let profileJson = null;
+  try {
+    const response = await fetch(`/data/sets/${setCode}/collation.json`);
+    if (response && response.ok !== false) {
+      profileJson = JSON.parse(await response.text());
+    }
+  } catch (error) {
+    // No (or unreadable) collation.json: fall back to the default booster
+    profileJson = null;
+  }
+  return resolveCollationProfile(profileJson, releasedAt);
+};
+
+// Fetch the cards for each extra pool a collation profile names (The List, special guests)
+const loadExtraPools = async (pools) => {
+  const extraPools = {};
+  for (const [name, query] of Object.entries(pools)) {
+    try {
+      extraPools[name] = await fetchScryfallCards(encodeURIComponent(query));
+    } catch (error) {
+      console.error(`Failed to load extra pool "${name}" (${query}):`, error);
+      extraPools[name] = [];
+    }
+  }
+  return extraPools;
+};
+
+// Load everything a set's packs and bots need: cards, collation, extra pools and ratings.
+// A set without ratings still deals; its bots grade cards from their rules text instead.
+const loadSetData = async (setCode) => {
+  const cards = await fetchScryfallCards(`e%3A${setCode}+-is%3Adigital`);
+  if (!cards.length) {
+    throw new Error(`No cards found for set: ${setCode}`);
+  }
+
+  const profile = await loadCollationProfile(setCode, cards[0].released_at);
+  const pools = await loadExtraPools(profile.pools);
+
+  let stats = {};
+  try {
+    const response = await fetch(`/data/sets/${setCode}/ratings.csv`);
+    if (response && response.ok !== false) {
+      stats = await parseRatingsCsv(await response.text());
+    }
+  } catch (error) {
+    console.log(`No card stats for set ${setCode}:`, error);
+  }
+
+  return { cards, profile, pools, stats };
+};
 
 // Main App Component
 const App = () => {
@@ -34,6 +166,85 @@ const App = () => {
   // New: Load color pair stats from CSV
   const [colorPairStats, setColorPairStats] = useState({});
 
+  // New: Per-set booster collation profile and the extra card pools it draws from
+  const [collationProfile, setCollationProfile] = useState(BOOSTER_PROFILES.draft);
+  const [extraPools, setExtraPools] = useState({});
+
+  // New: Draft seed; every random choice in the draft comes from rngRef, seeded from it
+  const [draftSeed, setDraftSeed] = useState(generateSeed);
+  const [seedInput, setSeedInput] = useState('');
+  const rngRef = useRef(createRng(draftSeed));
+
+  // New: Card source ('set' boosters or an uploaded 'cube' list) and cube loading state
+  const [draftSource, setDraftSource] = useState('set');
+  const [loadingCube, setLoadingCube] = useState(false);
+  const [cubeError, setCubeError] = useState('');
+  const [cubeNotFound, setCubeNotFound] = useState([]);
+
+  // New: Draft setup panel visibility
+  const [showSetup, setShowSetup] = useState(false);
+
+  // New: Rochester table state (face-up pack and pick order) and the log of every pick
+  const [rochester, setRochester] = useState(null);
+  const [rochesterLog, setRochesterLog] = useState([]);
+
+  // New: Winston table state (stack, piles, whose turn) and the log of every turn
+  const [winston, setWinston] = useState(null);
+  const [winstonLog, setWinstonLog] = useState([]);
+
+  // New: Grid table state (grids dealt, the grid on the table, whose turn), the log of lines
+  // taken, and how many players sit at the grid
+  const [grid, setGrid] = useState(null);
+  const gridsRef = useRef([]);
+  const [gridLog, setGridLog] = useState([]);
+  const [gridPlayerCount, setGridPlayerCount] = useState(2);
+
+  // New: Pod settings: seats at the table (human included), rounds, and cards per pack.
+  // Set boosters are cut down to the pack size but never grown past their collation.
+  const [podSize, setPodSize] = useState(8);
+  const [roundCount, setRoundCount] = useState(3);
+  const [packSize, setPackSize] = useState(15);
+
+  // New: How card ratings turn into scores: 'winRate' (GP WR, OH WR, GD WR) or 'takenAt'
+  // (ATA, so bots take cards where human drafters do)
+  const [pickScoring, setPickScoring] = useState('winRate');
+
+  // New: The selected set's trained pick model (pick_model.json) for Learned bots, if it has one
+  const [pickModel, setPickModel] = useState(null);
+
+  // New: Bot strategy for each bot seat (index 0 is AI_1); unset seats use the default
+  const [seatStrategies, setSeatStrategies] = useState([]);
+
+  // New: Difficulty for every bot: how noisy its picks are and how strictly it keeps to its colors
+  const [botDifficulty, setBotDifficulty] = useState(DEFAULT_BOT_DIFFICULTY);
+
+  // New: Cards each seat takes from a pack before passing it, and how many the human has
+  // taken from the current pack so far
+  const [picksPerPass, setPicksPerPass] = useState(1);
+  const [pickInPass, setPickInPass] = useState(0);
+
+  // New: Pick timer ('off', 'auto' picks the suggested card, 'punishing' a random one),
+  // its seconds per card in the pack, and the clock for the current pick
+  const [timerMode, setTimerMode] = useState('off');
+  const [timerSecondsPerCard, setTimerSecondsPerCard] = useState(DEFAULT_SECONDS_PER_CARD);
+  const [pickSeconds, setPickSeconds] = useState(0);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  // New: Mixed-set drafts: 'single' set, a set per round ('mixed') or a random set per pack
+  // ('chaos'). Loaded sets are cached, and each set's ratings are kept apart so bots score
+  // cards against the table for the set they came from.
+  const [setMode, setSetMode] = useState('single');
+  const [roundSets, setRoundSets] = useState([]);
+  const [setPlan, setSetPlan] = useState(null);
+  const [loadingSetPlan, setLoadingSetPlan] = useState(false);
+  const [setPlanError, setSetPlanError] = useState('');
+  const [cardStatsBySet, setCardStatsBySet] = useState({});
+  const setDataRef = useRef({});
+
+  // New: Event format ('draft', 'sealed', 'rochester', 'winston' or 'grid') and how many packs a sealed pool opens
+  const [draftFormat, setDraftFormat] = useState('draft');
+  const [sealedPackCount, setSealedPackCount] = useState(6);
+
   // New: Compute globalStats from cardStats
   const globalStats = useMemo(() => {
     const values = Object.values(cardStats);
@@ -49,6 +260,12 @@ const App = () => {
     };
   }, [cardStats]);
 
+  // New: Cards on screen show stats from their own set's table during mixed-set drafts
+  const displayStats = useMemo(
+    () => (draftSource === 'mixed' ? Object.assign({}, cardStats, ...Object.values(cardStatsBySet)) : cardStats),
+    [draftSource, cardStats, cardStatsBySet]
+  );
+
   // Fetch all paper MTG sets from Scryfall with updated filtering
   useEffect(() => {
     const fetchSets = async () => {
@@ -99,26 +316,22 @@ const App = () => {
         setCurrentPackIndex(0);
         setDraftComplete(false);
         try {
-          let allCards = [];
-          let page = 1;
-          let hasMore = true;
-
-          while (hasMore) {
-            const response = await axios.get(
-              `https://api.scryfall.com/cards/search?order=set&q=e%3A${selectedSet}+-is%3Adigital&page=${page}`
-            );
-            allCards = [...allCards, ...response.data.data];
-            hasMore = response.data.has_more;
-            page += 1;
-          }
+          const allCards = await fetchScryfallCards(`e%3A${selectedSet}+-is%3Adigital`);
 
           if (!allCards.length) {
             console.error(`No cards found for set: ${selectedSet}`);
             return;
           }
 
+          const profile = await loadCollationProfile(selectedSet, allCards[0].released_at);
+          const pools = await loadExtraPools(profile.pools);
+          console.log(`Opening ${profile.booster} boosters for set ${selectedSet}`);
+
           setCards(allCards);
-          initializeDraft(allCards);
+          setCollationProfile(profile);
+          setExtraPools(pools);
+          setDraftSource('set');
+          initializeDraft(allCards, { profile, pools, source: 'set' });
         } catch (error) {
           console.error(`Error fetching cards for set ${selectedSet}:`, error);
         } finally {
@@ -299,52 +512,37 @@ const App = () => {
     return (winRate - 50) * 0.5;
   };
 
-  // Updated: Calculate a score for a card based on stats, "strength", color match, and color pair win rates
-  const calculateCardScore = (card, aiPlayer) => {
+  // New: Stats come from the card's own set when it was loaded for a mixed-set draft
+  const getSetStats = (card) => (card.set && cardStatsBySet[card.set]) || cardStats;
+  const getCardStats = (card) => getSetStats(card)[card.name];
+
+  // New: Picks a drafter has left in booster and Rochester drafts (unknown for the other formats)
+  const getPicksLeft = (player) =>
+    draftFormat === 'draft' || draftFormat === 'rochester'
+      ? roundCount * packSize - player.draftedCards.length
+      : undefined;
+
+  // Updated: Calculate a score for a card based on stats, "strength", color match, and color pair win rates,
+  // keeping each part so suggestions can explain the score
+  const getCardScoreBreakdown = (card, aiPlayer) => {
     // Get card stats if available
-    const stats = cardStats[card.name] || {};
+    const stats = getCardStats(card) || {};
     
+    // Updated: Without ratings, estimate the card's win rate from its rules text (see utils/cardEvaluator)
+    const estimate = stats.gihwr ? null : evaluateCard(card);
+    const winRate = estimate ? estimate.winRate : stats.gihwr;
+
+    // New: In taken-at mode, cards score by how early humans take them. A card without an ATA takes
+    // the ATA its win rate ranks with in its own set, or in every loaded set when its own has no
+    // ATAs (mixed drafts); a draft with no ATAs at all keeps win-rate scores.
+    const ata =
+      pickScoring === 'takenAt'
+        ? stats.ata || getEquivalentAta(winRate, getSetStats(card)) || getEquivalentAta(winRate, displayStats)
+        : null;
+
     // 1. Stats-based score (prioritize real data when available)
-    let statsScore = 0;
-    if (stats.gihwr) {
-      // Games in Hand Win Rate (0-100 scale, weighted highest)
-      statsScore += stats.gihwr * 1.5;
-      
-      // Opening Hand Win Rate (bonus if available)
-      if (stats.ohwr) {
-        statsScore += stats.ohwr * 0.8;
-      }
-      
-      // Games Drawn Win Rate (bonus if available)
-      if (stats.gdwr) {
-        statsScore += stats.gdwr * 0.7;
-      }
-    } else {
-      // Fallback to original scoring if no stats available
-      
-      // Rarity Score: Prioritize higher rarity for "stronger" cards
-      const rarityMap = { mythic: 10, rare: 8, uncommon: 5, common: 3 };
-      let rarityScore = rarityMap[card.rarity] || 1; // Default for special cases
-
-      // CMC Score: Favor lower CMC for efficiency (max 10, decreases with higher CMC)
-      const cmc = card.cmc || 0;
-      let cmcScore = Math.max(10 - cmc, 0); // e.g., CMC 2 -> 8, CMC 6 -> 4
-
-      // Type/Stats Score: Bonus for card type and creature stats
-      let typeScore = 0;
-      if (card.type_line.includes('Creature')) {
-        const power = parseInt(card.power) || 0;
-        const toughness = parseInt(card.toughness) || 0;
-        typeScore += (power + toughness) / 2; // e.g., 3/3 creature adds ~3
-        typeScore += 2; // Extra bonus for creatures
-      } else if (card.type_line.includes('Instant') || card.type_line.includes('Sorcery')) {
-        typeScore += 4; // Bonus for removal/spells
-      } else if (card.type_line.includes('Artifact') || card.type_line.includes('Enchantment')) {
-        typeScore += 3; // Bonus for supportive permanents
-      }
-      
-      statsScore = rarityScore + cmcScore + typeScore;
-    }
+    // Updated: Win rates count GIH highest, then OH and GD, with blanks and estimates filled from GIH
+    const statsScore = ata ? getTakenAtScore(ata) : getWinRateScore(estimate ? { gihwr: winRate } : stats);
 
     // 2. Color Match Weight: Dynamic weighting based on AI's current colors
     let colorScore = 0;
@@ -352,7 +550,7 @@ const App = () => {
     
     // If we have stats-based color info, use it
     const statsColor = stats.color || '';
-    const cardColorInfo = statsColor.split('') || cardColors;
+    const cardColorInfo = statsColor ? statsColor.split('') : cardColors;
     
     if (cardColorInfo.length === 0) {
       colorScore += 3; // Bonus for colorless (flexible for any deck)
@@ -368,110 +566,368 @@ const App = () => {
       }
     }
 
+    // New: Bot difficulty sets how strictly the bot keeps to its colors
+    colorScore *= getColorWeight(aiPlayer);
+
     // 3. New: Color Pair Bonus based on win rates
     const colorPairBonus = getColorPairBonus(cardColorInfo, aiPlayer.colors, colorPairStats);
 
-    // Total Score: Combine stats score, color score, and color pair bonus
-    // If we have real stats, they should be weighted more heavily
-    const totalScore = stats.gihwr ? 
-      (statsScore + colorScore * 1.5 + colorPairBonus) : 
-      (statsScore + colorScore + colorPairBonus);
+    // 4. New: Deck needs (curve gaps, creature and removal counts, playables) from the drafted pool
+    const needsScore = aiPlayer.draftedCards
+      ? getNeedsScore(card, getPoolProfile(aiPlayer.draftedCards, aiPlayer.colors), aiPlayer.colors, getPicksLeft(aiPlayer))
+      : 0;
+
+    // 5. New: Synergy with enablers and payoffs (domain, kicker, enlist...) already in the pool
+    const synergy = aiPlayer.draftedCards
+      ? getSynergy(card, getSynergyProfile(aiPlayer.draftedCards))
+      : { score: 0, mechanics: [] };
+
+    // Total Score: Combine stats score, color score, deck needs, synergy, and color pair bonus
+    // Updated: Win-rate and taken-at scores share a spread and estimates use the active scale, so
+    // the other parts weigh the same for every card
+    const weight = 1.5;
+    const totalScore = statsScore + (colorScore + needsScore + synergy.score) * weight + colorPairBonus;
     
     // Optional: Log for debugging (uncomment to see scores)
-    // console.log(`Card: ${card.name}, Total Score: ${totalScore} (Stats: ${statsScore}, Color: ${colorScore}, Pair Bonus: ${colorPairBonus})`);
+    // console.log(`Card: ${card.name}, Total Score: ${totalScore} (Stats: ${statsScore}, Color: ${colorScore}, Needs: ${needsScore}, Synergy: ${synergy.score}, Pair Bonus: ${colorPairBonus})`);
     
-    return totalScore;
+    // New: Each part as it counts toward the total
+    const matching = cardColorInfo.filter((color) => aiPlayer.colors.includes(color)).length;
+    return {
+      total: totalScore,
+      stats: statsScore,
+      statsSource: ata ? (stats.ata ? 'takenAt' : 'takenAtRank') : estimate ? 'estimated' : 'winRate',
+      ratings: ata ? { ...stats, gihwr: winRate, ata } : estimate ? { gihwr: winRate } : stats,
+      estimateReasons: estimate ? estimate.reasons : [],
+      color: colorScore * weight,
+      colorFit:
+        cardColorInfo.length === 0 ? 'colorless' : matching === cardColorInfo.length ? 'on' : matching > 0 ? 'partial' : 'off',
+      needs: needsScore * weight,
+      synergy: synergy.score * weight,
+      synergyMechanics: synergy.mechanics,
+      pair: colorPairBonus,
+    };
   };
+
+  const calculateCardScore = (card, aiPlayer) => getCardScoreBreakdown(card, aiPlayer).total;
   
-  // New Helper: Update player's color preferences based on drafted cards
+  // New: Score with the trained pick model in place of the hand-tuned weights above
+  const scoreWithLearnedModel = (card, player) => {
+    const stats = getCardStats(card);
+    return scoreWithPickModel(pickModel, getPickFeatures(getCardColors(card, stats), stats, player.colors));
+  };
+
+  // New: Card quality without any color preference, for judging how strong a signal is
+  const rateCardColorBlind = (card) => calculateCardScore(card, { colors: [] });
+
+  // Updated Helper: Update player's colors with the commitment model (see utils/colorCommitment):
+  // picks count by quality and recency, and bots that have read signals lean toward the
+  // colors still flowing to them
   const updatePlayerColors = (player) => {
-    const colorCounts = { W: 0, U: 0, B: 0, R: 0, G: 0 };
-    player.draftedCards.forEach((card) => {
-      (card.colors || []).forEach((color) => {
-        if (colorCounts[color] !== undefined) {
-          colorCounts[color]++;
-        }
-      });
-    });
-    
-    // Set player's colors to the top 2 most common (or keep initial if early in draft)
-    const sortedColors = Object.entries(colorCounts)
-      .sort(([, countA], [, countB]) => countB - countA)
-      .map(([color]) => color)
-      .slice(0, 2); // Limit to 2 colors for focus
-    
-    player.colors = sortedColors.length > 0 ? sortedColors : player.colors; // Fallback to initial
+    const weights = getColorWeights(player.draftedCards, rateCardColorBlind, player.signals);
+    player.colors = updateCommittedColors(player.colors, weights, player.draftedCards.length);
   };
 
-  // Updated: AI picks the "strongest" card with weighted color preference and stats
+  // Updated: AI picks with its seat's strategy (see utils/bots); the default strategy takes
+  // the "strongest" card with weighted color preference and stats
   const aiPickCard = (pack, aiPlayer) => {
-    if (pack.length === 0) return null;
-    
-    // Sort by calculated score (higher is better)
-    const sortedPack = [...pack].sort((a, b) => {
-      const aScore = calculateCardScore(a, aiPlayer);
-      const bScore = calculateCardScore(b, aiPlayer);
-      return bScore - aScore; // Descending order
+    const pick = pickWithStrategy(pack, aiPlayer, {
+      scoreCard: calculateCardScore,
+      learnedScore: pickModel && scoreWithLearnedModel,
+      rng: rngRef.current,
     });
-    
-    // Log the top pick for debugging
-    if (sortedPack.length > 0) {
-      const topPick = sortedPack[0];
-      const stats = cardStats[topPick.name];
-      console.log(`AI ${aiPlayer.id} picked ${topPick.name} ${stats ? `(GIHWR: ${stats.gihwr})` : '(no stats)'}`);
+
+    // Log the pick for debugging
+    if (pick) {
+      const stats = getCardStats(pick);
+      console.log(`AI ${aiPlayer.id} picked ${pick.name} ${stats ? `(GIHWR: ${stats.gihwr})` : '(no stats)'}`);
     }
-    
-    return sortedPack[0]; // Pick the highest-scoring card
+
+    return pick;
   };
 
-  const generatePack = (cards) => {
-    const basicLands = cards.filter((card) => card.type_line?.includes('Basic Land'));
-    const nonLands = cards.filter((card) => !card.type_line?.includes('Basic Land'));
+  const initializeAIOpponents = (numOpponents, rng) => {
+    const colors = ['W', 'U', 'B', 'R', 'G'];
+    return Array.from({ length: numOpponents }, (_, i) => {
+      const color = pickRandom(colors, rng);
+      return {
+        id: `AI_${i + 1}`,
+        colors: [color],
+        forcedColor: color,
+        strategy: seatStrategies[i] || DEFAULT_BOT_STRATEGY,
+        difficulty: botDifficulty,
+        signals: {},
+        draftedCards: [],
+        sideboard: [],
+        packs: [],
+      };
+    });
+  };
+
+  // New: Give one bot seat a different strategy; takes effect from its next pick
+  const changeSeatStrategy = (seatIndex, strategy) => {
+    const next = [...seatStrategies];
+    next[seatIndex] = strategy;
+    setSeatStrategies(next);
+    setPlayers(players.map((player) => (player.id === `AI_${seatIndex + 1}` ? { ...player, strategy } : player)));
+  };
+
+  // New: Set every bot's difficulty; like strategies, it takes effect from the next pick
+  const changeBotDifficulty = (difficulty) => {
+    setBotDifficulty(difficulty);
+    setPlayers(players.map((player) => (player.id === 'human' ? player : { ...player, difficulty })));
+  };
+
+  // Deal every seat its packs. `overrides` replaces any of the current draft settings
+  // (collation profile, extra pools, seed, card source, mixed-set plan, pod size, rounds,
+  // pack size, format, sealed pack count and grid player count) for this deal.
+  const initializeDraft = (cards, overrides = {}) => {
+    const settings = {
+      profile: collationProfile,
+      pools: extraPools,
+      seed: draftSeed,
+      source: draftSource,
+      setPlan,
+      podSize,
+      rounds: roundCount,
+      packSize,
+      format: draftFormat,
+      sealedPacks: sealedPackCount,
+      gridPlayers: gridPlayerCount,
+      ...overrides,
+    };
+    // Every path deals its packs before touching state, so a deal that throws (a cube too
+    // small for the pod) leaves the current draft as it was
+    const rng = createRng(settings.seed);
+
+    // Mixed-set drafts open pack `index` from the set the plan gives it
+    const openBooster = (index) => {
+      if (settings.source === 'mixed') {
+        const data = setDataRef.current[getPackSet(settings.setPlan, index, settings.rounds)];
+        return generatePack(data.cards, data.profile, data.pools, rng);
+      }
+      return generatePack(cards, settings.profile, settings.pools, rng);
+    };
+    // Cube packs are dealt from one shuffled pool, with no rarity collation
+    const openPacks = (count) => (settings.source === 'cube'
+      ? generateCubePacks(cards, count, settings.packSize, rng)
+      : Array.from({ length: count }, (_, index) => openBooster(index).slice(0, settings.packSize)));
 
-    if (basicLands.length === 0) {
-      throw new Error('No Basic Lands available in the card pool.');
+    const humanPlayer = { id: 'human', colors: [], draftedCards: [], sideboard: [], packs: [] };
+
+    // New: Sealed skips the pick loop; the opened pool goes straight to the deck builder, with
+    // repeat copies under their own ids so each can be added to the deck
+    if (settings.format === 'sealed') {
+      humanPlayer.draftedCards = withCopyIds(openPacks(settings.sealedPacks).flat());
+      rngRef.current = rng;
+      setRochester(null);
+      setWinston(null);
+      setGrid(null);
+      setPlayers([humanPlayer]);
+      setDraftComplete(true);
+      return;
     }
 
-    // Shuffle helper
-    const shuffle = (array) => [...array].sort(() => Math.random() - 0.5);
+    // New: Winston is one human against one bot, drafting from a shared stack. As in Grid, set
+    // boosters leave their basic lands out so the piles are not padded with them.
+    if (settings.format === 'winston') {
+      const stack = openPacks(WINSTON_PACKS)
+        .flat()
+        .filter((card) => settings.source === 'cube' || !card.type_line.includes('Basic Land'));
+      rngRef.current = rng;
+      setRochester(null);
+      setGrid(null);
+      setPlayers([humanPlayer, ...initializeAIOpponents(1, rng)]);
+      setWinstonLog([]);
+      setWinston(createWinstonState(stack, rng));
+      return;
+    }
 
-    // Shuffle and select 14 non-land cards
-    const shuffledNonLands = shuffle(nonLands).slice(0, 14);
+    // New: Grid deals nine cards per grid: a cube deals them straight from the pool, a set
+    // booster lays out nine of its non-basic cards
+    if (settings.format === 'grid') {
+      const grids = settings.source === 'cube'
+        ? generateCubePacks(cards, GRID_COUNT, GRID_CARD_COUNT, rng)
+        : Array.from({ length: GRID_COUNT }, (_, index) =>
+          shuffle(openBooster(index).filter((card) => !card.type_line.includes('Basic Land')), rng).slice(0, GRID_CARD_COUNT));
+      gridsRef.current = grids;
+      rngRef.current = rng;
+      setRochester(null);
+      setWinston(null);
+      setPlayers([humanPlayer, ...initializeAIOpponents(settings.gridPlayers - 1, rng)]);
+      setGridLog([]);
+      setGrid(openGrid(grids, 0, settings.gridPlayers));
+      return;
+    }
 
-    // Add one random Basic Land
-    const randomLand = basicLands[Math.floor(Math.random() * basicLands.length)];
-    const pack = [...shuffledNonLands, randomLand];
+    const aiOpponents = initializeAIOpponents(settings.podSize - 1, rng);
+    const allPlayers = [humanPlayer, ...aiOpponents];
+    const { rounds } = settings;
 
-    // Optional: Sort pack so land is always last or use rarityOrder if needed
-    const rarityOrder = { mythic: 1, rare: 2, uncommon: 3, common: 4, land: 5 };
-    return pack.sort((a, b) => {
-      const aRarity = a.type_line?.includes('Basic Land') ? 'land' : a.rarity;
-      const bRarity = b.type_line?.includes('Basic Land') ? 'land' : b.rarity;
-      return rarityOrder[aRarity] - rarityOrder[bRarity];
+    // Updated: Packs in a round are cut to its smallest, since chaos rounds can mix booster types
+    const packs = openPacks(allPlayers.length * rounds);
+    const seatPacks = evenOutRounds(allPlayers.map((_, i) => packs.slice(i * rounds, (i + 1) * rounds)));
+    allPlayers.forEach((player, i) => {
+      player.packs = seatPacks[i];
     });
+
+    rngRef.current = rng;
+    setPlayers(allPlayers);
+
+    // New: Rochester lays the first pack of round 1 face-up for the whole pod
+    setRochesterLog([]);
+    setRochester(settings.format === 'rochester' ? openRochesterPack(allPlayers, 1, 0) : null);
+    setWinston(null);
+    setGrid(null);
   };
 
-  const initializeAIOpponents = (numOpponents) => {
-    const colors = ['W', 'U', 'B', 'R', 'G'];
-    return Array.from({ length: numOpponents }, (_, i) => ({
-      id: `AI_${i + 1}`,
-      colors: [colors[Math.floor(Math.random() * colors.length)]],
-      draftedCards: [],
-      sideboard: [],
-      packs: [],
-    }));
+  // New: Start the draft over, e.g. after changing collation or seed; takes the same overrides
+  // as initializeDraft, plus `cards` to draft from a new pool.
+  // Updated: Returns false, keeping the current draft and showing why, when the pool cannot
+  // deal the new settings (a cube with fewer cards than seats × rounds × pack size). The
+  // reason shows in the panel for the draft's source: Cube Draft, or the Sets settings.
+  const restartDraft = (overrides = {}) => {
+    const setError = (overrides.source || draftSource) === 'mixed' ? setSetPlanError : setCubeError;
+    try {
+      initializeDraft(overrides.cards || cards, overrides);
+    } catch (error) {
+      console.error('Error restarting draft:', error);
+      setError(error.message);
+      return false;
+    }
+    setError('');
+    setCurrentRound(1);
+    setCurrentPackIndex(0);
+    // A sealed pool goes straight to deck building; every other format starts picking
+    setDraftComplete((overrides.format || draftFormat) === 'sealed');
+    setDraftHistory([]);
+    setSuggestedCardId(null);
+    setBuiltDeck([]);
+    setPickInPass(0);
+    return true;
   };
 
-  const initializeDraft = (cards) => {
-    const aiOpponents = initializeAIOpponents(7);
-    const humanPlayer = { id: 'human', colors: [], draftedCards: [], sideboard: [], packs: [] };
-    const allPlayers = [humanPlayer, ...aiOpponents];
+  // New: Redeal the pod from a typed seed (or a fresh random one), so drafts can be shared
+  const changeSeed = (seed) => {
+    const nextSeed = seed.trim() || generateSeed();
+    if (cards.length > 0 && !restartDraft({ seed: nextSeed })) return;
+    setDraftSeed(nextSeed);
+    setSeedInput('');
+  };
 
-    allPlayers.forEach((player) => {
-      player.packs = [generatePack(cards), generatePack(cards), generatePack(cards)];
-    });
+  // New: Switch how commons are collated (random, print sheet runs or one per color)
+  const changeCommonCollation = (mode) => {
+    const profile = { ...collationProfile, commonCollation: mode };
+    if (cards.length > 0 && !restartDraft({ profile })) return;
+    setCollationProfile(profile);
+  };
 
-    setPlayers(allPlayers);
+  // New: Switch between booster draft and sealed, or change the sealed pack count
+  const changeFormat = (format, sealedPacks = sealedPackCount) => {
+    if (cards.length > 0 && !restartDraft({ format, sealedPacks })) return;
+    setDraftFormat(format);
+    setSealedPackCount(sealedPacks);
+  };
+
+  // New: Change pod size, rounds, pack size or picks per pass; `pod` holds any of podSize,
+  // rounds, packSize and picksPerPass
+  const changePodSettings = (pod) => {
+    if (cards.length > 0 && !restartDraft(pod)) return;
+    if (pod.podSize !== undefined) setPodSize(pod.podSize);
+    if (pod.rounds !== undefined) setRoundCount(pod.rounds);
+    if (pod.packSize !== undefined) setPackSize(pod.packSize);
+    if (pod.picksPerPass !== undefined) setPicksPerPass(pod.picksPerPass);
+  };
+
+  // New: Change how many players (human plus bots) sit at a Grid draft
+  const changeGridPlayers = (count) => {
+    if (cards.length > 0 && !restartDraft({ gridPlayers: count })) return;
+    setGridPlayerCount(count);
+  };
+
+  // New: Load every set a mixed or chaos draft needs, then deal from them. Chaos sets are
+  // drawn from the set list with the draft seed, so a seed always picks the same sets.
+  // Updated: Chaos leaves out sets printed without basic lands (their boosters cannot be
+  // collated), redrawing the plan from the same seed without them.
+  const startSetPlanDraft = async () => {
+    setSetPlanError('');
+    const packCount = podSize * roundCount;
+    const drawPlan = (setCodes) => (setMode === 'chaos'
+      ? createChaosPlan(setCodes, packCount, createRng(`${draftSeed}:chaos`))
+      : { roundSets: Array.from({ length: roundCount }, (_, round) => roundSets[round] || selectedSet) });
+    const loadPlanSets = async (plan) => {
+      for (const code of getPlanSets(plan)) {
+        if (!setDataRef.current[code]) {
+          setDataRef.current[code] = await loadSetData(code);
+        }
+      }
+    };
+    const lacksBasics = (code) =>
+      !setDataRef.current[code].cards.some((card) => card.type_line?.includes('Basic Land'));
+
+    setLoadingSetPlan(true);
+    try {
+      let setCodes = sets.map((set) => set.code);
+      let plan = drawPlan(setCodes);
+      await loadPlanSets(plan);
+      let withoutBasics = setMode === 'chaos' ? getPlanSets(plan).filter(lacksBasics) : [];
+      while (withoutBasics.length > 0) {
+        const skipped = withoutBasics;
+        console.log(`Leaving ${skipped.join(', ')} out of the chaos draft: no basic lands`);
+        setCodes = setCodes.filter((code) => !skipped.includes(code));
+        plan = drawPlan(setCodes);
+        await loadPlanSets(plan);
+        withoutBasics = getPlanSets(plan).filter(lacksBasics);
+      }
+
+      const loaded = {};
+      getPlanSets(plan).forEach((code) => {
+        loaded[code] = setDataRef.current[code].stats;
+      });
+      setCardStatsBySet((prev) => ({ ...prev, ...loaded }));
+      // Updated: The plan only becomes the draft's once its packs have been dealt
+      if (restartDraft({ source: 'mixed', setPlan: plan })) {
+        setSetPlan(plan);
+        setDraftSource('mixed');
+        console.log(`Dealing ${setMode} draft from ${Object.keys(loaded).join(', ')}`);
+      }
+    } catch (error) {
+      console.error('Error starting mixed-set draft:', error);
+      setSetPlanError(error.message);
+    } finally {
+      setLoadingSetPlan(false);
+    }
+  };
+
+  // New: Resolve a cube list on Scryfall and draft it with the same pick loop
+  const startCubeDraft = async (cubeText, cubePackSize) => {
+    setCubeError('');
+    setCubeNotFound([]);
+
+    const entries = parseCubeList(cubeText);
+    if (entries.length === 0) {
+      setCubeError('The cube list has no card names.');
+      return;
+    }
+
+    setLoadingCube(true);
+    try {
+      const resolved = await fetchCardsByName(entries.map((entry) => entry.name));
+      const { pool, notFound } = buildCubePool(entries, resolved);
+      setCubeNotFound(notFound);
+
+      if (restartDraft({ cards: pool, source: 'cube', packSize: cubePackSize })) {
+        setCards(pool);
+        setDraftSource('cube');
+        setPackSize(cubePackSize);
+        console.log(`Loaded cube with ${pool.length} cards (${notFound.length} not found)`);
+      }
+    } catch (error) {
+      console.error('Error starting cube draft:', error);
+      setCubeError(error.message);
+    } finally {
+      setLoadingCube(false);
+    }
   };
 
   const passPacks = (players, round) => {
@@ -511,6 +967,7 @@ const App = () => {
     const lastState = draftHistory.pop();
     setPlayers(lastState.players);
     setCurrentPackIndex(lastState.packIndex);
+    setPickInPass(lastState.pickInPass);
     setDraftHistory([...draftHistory]); // Update history after pop
     console.log('Undo successful: Reverted to previous pick state.');
   };
@@ -521,6 +978,7 @@ const App = () => {
     const currentState = {
       players: JSON.parse(JSON.stringify(players)), // Deep copy of players (includes packs and drafted cards)
       packIndex: currentPackIndex,
+      pickInPass,
     };
     setDraftHistory((prev) => [...prev, currentState].slice(-5)); // Keep only last 5 for memory efficiency
 
@@ -533,16 +991,27 @@ const App = () => {
     humanPlayer.packs[currentRound - 1] = currentPack.filter((c) => c.id !== card.id);
     updatePlayerColors(humanPlayer);
 
+    // New: In pick-N formats the human keeps the pack until N cards are taken (or it runs out)
+    if (pickInPass + 1 < picksPerPass && humanPlayer.packs[currentRound - 1].length > 0) {
+      setPickInPass(pickInPass + 1);
+      setSuggestedCardId(null);
+      setPlayers(updatedPlayers);
+      return;
+    }
+    setPickInPass(0);
+
+    // Updated: Each bot takes as many cards as the human did before the packs move on
     for (let i = 1; i < updatedPlayers.length; i++) {
       const aiPlayer = updatedPlayers[i];
-      const aiPack = aiPlayer.packs[currentRound - 1];
-      if (aiPack.length > 0) {
+      aiPlayer.signals = recordSignals(
+        aiPlayer.signals, aiPlayer.packs[currentRound - 1], currentPackIndex * picksPerPass, rateCardColorBlind
+      );
+      for (let pick = 0; pick < picksPerPass && aiPlayer.packs[currentRound - 1].length > 0; pick++) {
+        const aiPack = aiPlayer.packs[currentRound - 1];
         const aiCard = aiPickCard(aiPack, aiPlayer);
-        if (aiCard) {
-          aiPlayer.draftedCards = [...aiPlayer.draftedCards, aiCard];
-      aiPlayer.packs[currentRound - 1] = aiPack.filter((c) => c.id !== aiCard.id);
-      updatePlayerColors(aiPlayer);
-        }
+        aiPlayer.draftedCards = [...aiPlayer.draftedCards, aiCard];
+        aiPlayer.packs[currentRound - 1] = aiPack.filter((c) => c.id !== aiCard.id);
+        updatePlayerColors(aiPlayer);
       }
     }
 
@@ -553,7 +1022,7 @@ const App = () => {
     );
 
     if (allPacksEmpty) {
-      if (currentRound < 3) {
+      if (currentRound < roundCount) {
         setCurrentRound(currentRound + 1);
         setCurrentPackIndex(0);
         setDraftHistory([]); // New: Clear history when advancing rounds
@@ -569,6 +1038,168 @@ const App = () => {
     setPlayers(updatedPlayers);
   };
 
+  // New: Rochester pick by whichever seat is active, human or bot. Everyone sees the
+  // face-up pack, so the pick is logged for the whole table. Bots pass on the signals they
+  // read from the face-up pack.
+  const makeRochesterPick = (card, signals) => {
+    const seat = getActiveSeat(rochester);
+    const updatedPlayers = players.map((player) => ({ ...player }));
+    const picker = updatedPlayers[seat];
+    if (signals) picker.signals = signals;
+
+    picker.draftedCards = [...picker.draftedCards, card];
+    updatePlayerColors(picker);
+    setRochesterLog((prev) => [
+      ...prev,
+      { seatId: picker.id, card, round: rochester.round, packNumber: rochester.packNumber },
+    ]);
+
+    const next = advanceRochester(rochester, card, updatedPlayers, roundCount);
+    if (!next) {
+      setDraftComplete(true);
+    }
+    setRochester(next);
+    setPlayers(updatedPlayers);
+  };
+
+  // New: The latest players and handlers, for effects that should only re-run when the table
+  // moves on; an effect reads them here rather than listing them as dependencies
+  const latestRef = useRef({});
+  useEffect(() => {
+    latestRef.current = {
+      players,
+      aiPickCard,
+      calculateCardScore,
+      rateCardColorBlind,
+      makeRochesterPick,
+      makeWinstonMove,
+      makeGridPick,
+      humanPack,
+      timerMode,
+      handlePick,
+    };
+  });
+
+  // New: Bots take their Rochester picks one at a time, with a pause so the human can follow
+  useEffect(() => {
+    if (!rochester || draftComplete || getActiveSeat(rochester) === 0) return undefined;
+
+    const timer = setTimeout(() => {
+      const app = latestRef.current;
+      const seat = app.players[getActiveSeat(rochester)];
+      const bot = { ...seat, signals: recordSignals(seat.signals, rochester.pack, rochester.turn, app.rateCardColorBlind) };
+      app.makeRochesterPick(app.aiPickCard(rochester.pack, bot), bot.signals);
+    }, BOT_TURN_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [rochester, draftComplete]);
+
+  // New: Apply a Winston take or pass for the seat whose turn it is. Only cards actually
+  // taken reach the picker's pool; the log hides the bot's cards, as in a real Winston draft.
+  const makeWinstonMove = (action) => {
+    const pileIndex = winston.pileIndex;
+    const { state: next, taken } = action === 'take' ? takeWinstonPile(winston) : passWinstonPile(winston);
+
+    if (taken.length > 0) {
+      const updatedPlayers = players.map((player) => ({ ...player }));
+      const picker = updatedPlayers[winston.turn];
+      picker.draftedCards = [...picker.draftedCards, ...taken];
+      updatePlayerColors(picker);
+      setWinstonLog((prev) => [
+        ...prev,
+        { seatId: picker.id, pileIndex, count: taken.length, cards: taken, blind: action === 'pass' },
+      ]);
+      setPlayers(updatedPlayers);
+    }
+
+    if (isWinstonOver(next)) {
+      setDraftComplete(true);
+    }
+    setWinston(next);
+  };
+
+  // New: The Winston bot looks at one pile per tick; a pile is judged by the sum of its card
+  // scores (with the bot's pick noise) against the average score of a card still in the stack
+  useEffect(() => {
+    if (!winston || draftComplete || winston.turn === 0) return undefined;
+
+    const timer = setTimeout(() => {
+      const app = latestRef.current;
+      const bot = app.players[winston.turn];
+      const noisyScore = withPickNoise(winston.piles.flat(), bot, app.calculateCardScore, rngRef.current);
+      const scoreCard = (card) => noisyScore(card, bot);
+      const unseen = winston.deck.length > 0 ? winston.deck : winston.piles.flat();
+      const blindValue = unseen.reduce((sum, card) => sum + scoreCard(card), 0) / (unseen.length || 1);
+      app.makeWinstonMove(chooseWinstonAction(winston, scoreCard, blindValue));
+    }, BOT_TURN_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [winston, draftComplete]);
+
+  // New: The active Grid seat takes every card left in a row or column; lines are public,
+  // so the log shows the cards for every seat
+  const makeGridPick = (line) => {
+    const updatedPlayers = players.map((player) => ({ ...player }));
+    const picker = updatedPlayers[getGridPicker(grid)];
+    const { state: next, taken } = takeGridLine(grid, line, gridsRef.current);
+
+    picker.draftedCards = [...picker.draftedCards, ...taken];
+    updatePlayerColors(picker);
+    setGridLog((prev) => [
+      ...prev,
+      { seatId: picker.id, gridNumber: grid.gridNumber, line: { type: line.type, index: line.index }, cards: taken },
+    ]);
+
+    if (!next) {
+      setDraftComplete(true);
+    }
+    setGrid(next);
+    setPlayers(updatedPlayers);
+  };
+
+  // New: Grid bots take the row or column with the highest total card score, with their pick noise
+  useEffect(() => {
+    if (!grid || draftComplete || getGridPicker(grid) === 0) return undefined;
+
+    const timer = setTimeout(() => {
+      const app = latestRef.current;
+      const bot = app.players[getGridPicker(grid)];
+      const scoreCard = withPickNoise(grid.cells.filter(Boolean), bot, app.calculateCardScore, rngRef.current);
+      app.makeGridPick(chooseGridLine(grid.cells, (card) => scoreCard(card, bot)));
+    }, BOT_TURN_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [grid, draftComplete]);
+
+  // New: Start the pick clock for every new pick in a timed booster draft. The clock is keyed on
+  // the pick itself, so sorting the deck or changing a bot setting does not refill it.
+  const humanPack = players[0]?.packs?.[currentRound - 1];
+  const humanPackSize = humanPack?.length || 0;
+  const timerRunning = timerMode !== 'off' && draftFormat === 'draft' && !draftComplete && humanPackSize > 0;
+  useEffect(() => {
+    if (!timerRunning) {
+      setSecondsLeft(null);
+      return;
+    }
+    const seconds = getPickSeconds(humanPackSize, timerSecondsPerCard);
+    setPickSeconds(seconds);
+    setSecondsLeft(seconds);
+  }, [currentRound, currentPackIndex, pickInPass, humanPackSize, timerRunning, timerSecondsPerCard]);
+
+  // New: Count down once a second; at zero the pick is made for the human
+  useEffect(() => {
+    if (secondsLeft === null) return undefined;
+    if (secondsLeft <= 0) {
+      const app = latestRef.current;
+      const card = app.timerMode === 'punishing'
+        ? pickRandom(app.humanPack, rngRef.current)
+        : app.aiPickCard(app.humanPack, app.players[0]);
+      console.log(`Pick timer ran out: took ${card.name}`);
+      app.handlePick(card);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => setSecondsLeft((prev) => (prev === null ? null : prev - 1)), 1000);
+    return () => clearTimeout(timer);
+  }, [secondsLeft]);
+
   // New: Functions for sideboard and sorting
   const sortDraftDeck = (criteria) => {
     const updatedPlayers = players.map((p, i) => {
@@ -613,6 +1244,19 @@ const App = () => {
     setPlayers(updatedPlayers);
   };
 
+  // New: Once the draft is over, every bot builds a 40-card deck from its pool
+  useEffect(() => {
+    if (!draftComplete || players.every((player) => player.id === 'human' || player.botDeck)) return;
+
+    setPlayers(
+      players.map((player) =>
+        player.id === 'human' || player.botDeck
+          ? player
+          : { ...player, botDeck: buildBotDeck(player.draftedCards, latestRef.current.rateCardColorBlind) }
+      )
+    );
+  }, [draftComplete, players]);
+
   // New: Deck Building Helper - Auto-suggest and add lands
   const suggestLands = () => {
     const colorCounts = { W: 0, U: 0, B: 0, R: 0, G: 0 };
@@ -625,13 +1269,7 @@ const App = () => {
     ['W', 'U', 'B', 'R', 'G'].forEach((color) => {
       const count = Math.round((colorCounts[color] / totalColors) * totalLandsNeeded);
       for (let i = 0; i < count; i++) {
-        suggestedLands.push({
-          id: `basic-${color}-${i}`,
-          name: `${color === 'W' ? 'Plains' : color === 'U' ? 'Island' : color === 'B' ? 'Swamp' : color === 'R' ? 'Mountain' : 'Forest'}`,
-          type_line: 'Basic Land',
-          colors: [color],
-          image_uris: { normal: 'https://via.placeholder.com/223x310?text=Basic+Land' }, // Placeholder; replace with real images
-        });
+        suggestedLands.push(createBasicLand(color, i));
       }
     });
     setBuiltDeck([...builtDeck, ...suggestedLands]);
@@ -664,32 +1302,9 @@ const App = () => {
             console.error('Failed to fetch card stats: response is undefined or null');
             return;
           }
-          const csvText = await response.text();
-          
-          // Parse CSV
-          Papa.parse(csvText, {
-            header: true,
-            complete: (results) => {
-              const stats = {};
-
-              results.data.forEach(row => {
-                if (row.Name) {
-                  stats[row.Name] = {
-                    gihwr: parseFloat(row['GP WR'] || '0'),
-                    ohwr: parseFloat(row['OH WR'] || '0'),
-                    gdwr: parseFloat(row['GD WR'] || '0'),
-                    color: row.Color || '',
-                  };
-                }
-              });
-
-              setCardStats(stats);
-              console.log(`Loaded stats for ${Object.keys(stats).length} cards in set ${selectedSet}`);
-            },
-            error: (error) => {
-              console.log('Error parsing CSV:', error);
-            }
-          });
+          const stats = await parseRatingsCsv(await response.text());
+          setCardStats(stats);
+          console.log(`Loaded stats for ${Object.keys(stats).length} cards in set ${selectedSet}`);
         } catch (error) {
           console.log(`Failed to load card stats for set ${selectedSet}:`, error);
           setCardStats({});
@@ -700,6 +1315,26 @@ const App = () => {
     }
   }, [selectedSet]);
 
+  // New: Load the set's pick model; sets without one leave Learned bots playing Balanced
+  useEffect(() => {
+    if (!selectedSet) return;
+    const loadPickModel = async () => {
+      try {
+        const response = await fetch(`/data/sets/${selectedSet}/pick_model.json`);
+        if (!response || response.ok === false) {
+          setPickModel(null);
+          return;
+        }
+        setPickModel(parsePickModel(JSON.parse(await response.text())));
+        console.log(`Loaded pick model for set ${selectedSet}`);
+      } catch (error) {
+        console.log(`No pick model for set ${selectedSet}:`, error.message);
+        setPickModel(null);
+      }
+    };
+    loadPickModel();
+  }, [selectedSet]);
+
 
   // New: Deck Building Helper - Calculate simple deck stats
   const getDeckStats = () => {
@@ -756,16 +1391,339 @@ const App = () => {
               </option>
             ))}
           </select>
+          {/* New: Draft setup panel toggle; the panel is only rendered while open */}
+          <button
+            onClick={() => setShowSetup((prev) => !prev)}
+            className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded ml-2"
+          >
+            {showSetup ? 'Hide' : 'Show'} Draft Setup
+          </button>
+        </div>
+      )}
+
+      {showSetup && (
+        <div className="bg-gray-800 rounded-lg p-4 mb-6 max-w-2xl mx-auto">
+          <h2 className="text-xl font-bold mb-2">Draft Setup</h2>
+          <p className="text-sm text-gray-400 mb-2">Changing a setting restarts the draft.</p>
+          <div className="flex items-center space-x-2">
+            <label className="text-sm" htmlFor="common-collation">Commons</label>
+            <select
+              id="common-collation"
+              value={collationProfile.commonCollation || 'random'}
+              onChange={(e) => changeCommonCollation(e.target.value)}
+              className="bg-gray-700 text-white p-2 rounded"
+            >
+              <option value="random">Random</option>
+              <option value="printSheet">Print Sheet</option>
+              <option value="balanced">One Per Color</option>
+            </select>
+          </div>
+          <div className="flex items-center space-x-2 mt-2">
+            <label className="text-sm" htmlFor="draft-format">Format</label>
+            <select
+              id="draft-format"
+              value={draftFormat}
+              onChange={(e) => changeFormat(e.target.value)}
+              className="bg-gray-700 text-white p-2 rounded"
+            >
+              <option value="draft">Booster Draft</option>
+              <option value="sealed">Sealed</option>
+              <option value="rochester">Rochester Draft</option>
+              <option value="winston">Winston Draft</option>
+              <option value="grid">Grid Draft</option>
+            </select>
+            {draftFormat === 'sealed' && (
+              <>
+                <label className="text-sm" htmlFor="sealed-packs">Packs</label>
+                <SettingInput
+                  id="sealed-packs"
+                  min={1}
+                  max={12}
+                  value={sealedPackCount}
+                  onCommit={(value) => changeFormat('sealed', value)}
+                />
+              </>
+            )}
+            {draftFormat !== 'grid' && (
+              <>
+                <label className="text-sm" htmlFor="pack-size">Cards per pack</label>
+                <SettingInput
+                  id="pack-size"
+                  min={1}
+                  max={20}
+                  value={packSize}
+                  onCommit={(value) => changePodSettings({ packSize: value })}
+                />
+              </>
+            )}
+            {draftFormat === 'grid' && (
+              <>
+                <label className="text-sm" htmlFor="grid-players">Players</label>
+                <select
+                  id="grid-players"
+                  value={gridPlayerCount}
+                  onChange={(e) => changeGridPlayers(parseInt(e.target.value, 10))}
+                  className="bg-gray-700 text-white p-2 rounded"
+                >
+                  <option value={2}>2</option>
+                  <option value={3}>3</option>
+                </select>
+              </>
+            )}
+          </div>
+          {(draftFormat === 'draft' || draftFormat === 'rochester') && (
+            <div className="flex items-center space-x-2 mt-2">
+              <label className="text-sm" htmlFor="pod-size">Seats</label>
+              <SettingInput
+                id="pod-size"
+                min={2}
+                max={12}
+                value={podSize}
+                onCommit={(value) => changePodSettings({ podSize: value })}
+              />
+              <label className="text-sm" htmlFor="round-count">Rounds</label>
+              <SettingInput
+                id="round-count"
+                min={1}
+                max={6}
+                value={roundCount}
+                onCommit={(value) => changePodSettings({ rounds: value })}
+              />
+              {draftFormat === 'draft' && (
+                <>
+                  <label className="text-sm" htmlFor="picks-per-pass">Picks per pass</label>
+                  <SettingInput
+                    id="picks-per-pass"
+                    min={1}
+                    max={3}
+                    value={picksPerPass}
+                    onCommit={(value) => changePodSettings({ picksPerPass: value })}
+                  />
+                </>
+              )}
+            </div>
+          )}
+          {draftFormat === 'draft' && (
+            <div className="flex items-center space-x-2 mt-2">
+              <label className="text-sm" htmlFor="pick-timer">Pick timer</label>
+              <select
+                id="pick-timer"
+                value={timerMode}
+                onChange={(e) => setTimerMode(e.target.value)}
+                className="bg-gray-700 text-white p-2 rounded"
+              >
+                <option value="off">Off</option>
+                <option value="auto">On (auto-pick)</option>
+                <option value="punishing">Punishing (random pick)</option>
+              </select>
+              {timerMode !== 'off' && (
+                <>
+                  <label className="text-sm" htmlFor="timer-seconds">Seconds per card</label>
+                  <SettingInput
+                    id="timer-seconds"
+                    min={1}
+                    max={20}
+                    value={timerSecondsPerCard}
+                    onCommit={setTimerSecondsPerCard}
+                  />
+                </>
+              )}
+            </div>
+          )}
+          {draftFormat !== 'sealed' && (
+            <div className="flex items-center space-x-2 mt-2">
+              <label className="text-sm" htmlFor="pick-scoring">Bot scoring</label>
+              <select
+                id="pick-scoring"
+                value={pickScoring}
+                onChange={(e) => setPickScoring(e.target.value)}
+                className="bg-gray-700 text-white p-2 rounded"
+              >
+                <option value="winRate">Win rate (GP WR)</option>
+                <option value="takenAt">Taken at (ATA)</option>
+              </select>
+              <label className="text-sm" htmlFor="bot-difficulty">Bot difficulty</label>
+              <select
+                id="bot-difficulty"
+                value={botDifficulty}
+                onChange={(e) => changeBotDifficulty(e.target.value)}
+                className="bg-gray-700 text-white p-2 rounded"
+              >
+                {BOT_DIFFICULTY_IDS.map((id) => (
+                  <option key={id} value={id}>{BOT_DIFFICULTIES[id].name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {(draftFormat === 'draft' || draftFormat === 'rochester') && (
+            <div className="flex flex-wrap items-center gap-2 mt-2">
+              <span className="text-sm">Bots</span>
+              {Array.from({ length: podSize - 1 }, (_, seatIndex) => (
+                <React.Fragment key={seatIndex}>
+                  <label className="text-sm" htmlFor={`seat-strategy-${seatIndex}`}>AI_{seatIndex + 1}</label>
+                  <select
+                    id={`seat-strategy-${seatIndex}`}
+                    value={seatStrategies[seatIndex] || DEFAULT_BOT_STRATEGY}
+                    onChange={(e) => changeSeatStrategy(seatIndex, e.target.value)}
+                    className="bg-gray-700 text-white p-2 rounded"
+                  >
+                    {BOT_STRATEGY_IDS.map((id) => (
+                      <option key={id} value={id} title={BOT_STRATEGIES[id].description}>
+                        {BOT_STRATEGIES[id].name}
+                      </option>
+                    ))}
+                  </select>
+                </React.Fragment>
+              ))}
+            </div>
+          )}
+          <div className="flex flex-wrap items-center gap-2 mt-2">
+            <label className="text-sm" htmlFor="set-mode">Sets</label>
+            <select
+              id="set-mode"
+              value={setMode}
+              onChange={(e) => setSetMode(e.target.value)}
+              className="bg-gray-700 text-white p-2 rounded"
+            >
+              <option value="single">Selected Set</option>
+              <option value="mixed">Set Per Round</option>
+              <option value="chaos">Chaos (Random Set Per Pack)</option>
+            </select>
+            {setMode === 'mixed' &&
+              Array.from({ length: roundCount }, (_, round) => (
+                <React.Fragment key={round}>
+                  <label className="text-sm" htmlFor={`round-set-${round}`}>Round {round + 1}</label>
+                  <select
+                    id={`round-set-${round}`}
+                    value={roundSets[round] || selectedSet}
+                    onChange={(e) => {
+                      const next = [...roundSets];
+                      next[round] = e.target.value;
+                      setRoundSets(next);
+                    }}
+                    className="bg-gray-700 text-white p-2 rounded"
+                  >
+                    {sets.map((set) => (
+                      <option key={set.code} value={set.code}>{set.code.toUpperCase()}</option>
+                    ))}
+                  </select>
+                </React.Fragment>
+              ))}
+            {setMode !== 'single' && (
+              <button
+                onClick={startSetPlanDraft}
+                disabled={loadingSetPlan}
+                className={`px-4 py-2 rounded text-white ${
+                  loadingSetPlan ? 'bg-gray-600 cursor-not-allowed' : 'bg-green-500 hover:bg-green-600'
+                }`}
+              >
+                {loadingSetPlan ? 'Loading Sets...' : `Start ${setMode === 'chaos' ? 'Chaos' : 'Mixed-Set'} Draft`}
+              </button>
+            )}
+          </div>
+          {setPlanError && <p className="text-red-400 mt-2">{setPlanError}</p>}
         </div>
       )}
       
+      {/* New: Seed display and entry; the same seed and set deal the same pod */}
+      <div className="flex justify-center items-center space-x-2 mb-6">
+        <span className="text-gray-300">
+          Seed: <code className="bg-gray-800 px-2 py-1 rounded" data-testid="draft-seed">{draftSeed}</code>
+        </span>
+        <input
+          type="text"
+          value={seedInput}
+          onChange={(e) => setSeedInput(e.target.value)}
+          placeholder="Enter a seed"
+          className="bg-gray-800 text-white p-2 rounded"
+          aria-label="Draft Seed"
+        />
+        <button
+          onClick={() => changeSeed(seedInput)}
+          disabled={!seedInput.trim()}
+          className={`px-4 py-2 rounded text-white ${
+            seedInput.trim() ? 'bg-blue-500 hover:bg-blue-600' : 'bg-gray-600 cursor-not-allowed'
+          }`}
+        >
+          Use Seed
+        </button>
+        <button
+          onClick={() => changeSeed('')}
+          className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded"
+        >
+          New Seed
+        </button>
+      </div>
+
+      <CubeLoader
+        onStartCube={startCubeDraft}
+        loading={loadingCube}
+        error={cubeError}
+        notFound={cubeNotFound}
+      />
+
       {loadingCards ? (
         <p className="text-center text-lg">Loading cards for selected set...</p>
       ) : !draftComplete ? (
         <>
-          <h2 className="text-2xl text-center mb-4">Round {currentRound}/3</h2>
-          {players[0]?.packs?.[currentRound - 1]?.length > 0 ? (
+          {!winston && !grid && (
+            <h2 className="text-2xl text-center mb-4">Round {rochester ? rochester.round : currentRound}/{roundCount}</h2>
+          )}
+          {grid ? (
+            <GridDraft
+              cells={grid.cells}
+              gridNumber={grid.gridNumber}
+              gridCount={gridsRef.current.length}
+              activeSeatId={players[getGridPicker(grid)]?.id}
+              isHumanTurn={getGridPicker(grid) === 0}
+              log={gridLog}
+              onTakeLine={makeGridPick}
+              cardStats={displayStats}
+              showGlobalStats={showGlobalStats}
+            />
+          ) : winston ? (
+            <WinstonDraft
+              deckCount={winston.deck.length}
+              piles={winston.piles}
+              pileIndex={winston.pileIndex}
+              isHumanTurn={winston.turn === 0}
+              opponentId={players[1]?.id}
+              canPass={canPassWinstonPile(winston)}
+              log={winstonLog}
+              onTake={() => makeWinstonMove('take')}
+              onPass={() => makeWinstonMove('pass')}
+              cardStats={displayStats}
+              showGlobalStats={showGlobalStats}
+            />
+          ) : rochester ? (
+            <RochesterDraft
+              pack={rochester.pack}
+              round={rochester.round}
+              packNumber={rochester.packNumber}
+              seatCount={players.length}
+              activeSeatId={players[getActiveSeat(rochester)]?.id}
+              isHumanTurn={getActiveSeat(rochester) === 0}
+              log={rochesterLog}
+              onPick={makeRochesterPick}
+              cardStats={displayStats}
+              showGlobalStats={showGlobalStats}
+            />
+          ) : players[0]?.packs?.[currentRound - 1]?.length > 0 ? (
             <>
+              {/* New: Your colors, from the same commitment model the bots use */}
+              <p className="text-center mb-2" aria-label="Your Colors">
+                Your colors:{' '}
+                {players[0].colors.length > 0
+                  ? players[0].colors.map((color) => COLOR_NAMES[color]).join(' / ')
+                  : 'open'}
+                {players[0].colors.length > 0 && isFlexible(players[0].draftedCards.length) && ' (still flexible)'}
+              </p>
+              {picksPerPass > 1 && (
+                <p className="text-lg text-center mb-2">Pick {pickInPass + 1} of {picksPerPass} from this pack</p>
+              )}
+              {secondsLeft !== null && (
+                <PickTimer secondsLeft={secondsLeft} totalSeconds={pickSeconds} punishing={timerMode === 'punishing'} />
+              )}
               <div className="flex space-x-2 justify-center mb-4">
                 <button
                   onClick={() => {
@@ -793,6 +1751,7 @@ const App = () => {
                       const lastState = draftHistory[draftHistory.length - 1];
                       setPlayers(lastState.players);
                       setCurrentPackIndex(lastState.packIndex);
+                      setPickInPass(lastState.pickInPass);
                       setDraftHistory((prev) => prev.slice(0, -1));
                     }
                   }}
@@ -806,11 +1765,21 @@ const App = () => {
                   Undo Pick
                 </button>
               </div>
+              {/* New: With a suggestion showing, rank the whole pack and explain each score */}
+              {suggestedCardId && (
+                <SuggestionPanel
+                  rows={rankSuggestions(players[0].packs[currentRound - 1], (card) =>
+                    getCardScoreBreakdown(card, players[0])
+                  )}
+                  playerColors={players[0].colors}
+                  onClose={() => setSuggestedCardId(null)}
+                />
+              )}
               <Pack 
                 cards={players[0]?.packs[currentRound - 1] || []} 
                 onPick={handlePick} 
                 disabled={false} 
-                cardStats={cardStats}
+                cardStats={displayStats}
                 suggestedCardId={suggestedCardId}
                 showGlobalStats={showGlobalStats}
               />
@@ -836,18 +1805,22 @@ const App = () => {
           </div>
           <Deck 
             draftedCards={players[0]?.draftedCards || []} 
-            cardStats={cardStats}
+            cardStats={displayStats}
             onRemoveFromDeck={moveToSideboard}
           />
           <Sideboard 
             sideboardCards={players[0]?.sideboard || []} 
-            cardStats={cardStats}
+            cardStats={displayStats}
             onMoveFromSideboard={moveFromSideboard}
           />
         </>
       ) : (
         <>
-          <p className="text-xl text-center mb-6">Draft Complete! Now build your deck.</p>
+          <p className="text-xl text-center mb-6">
+            {draftFormat === 'sealed'
+              ? `Sealed pool opened (${sealedPackCount} packs)! Now build your deck.`
+              : 'Draft Complete! Now build your deck.'}
+          </p>
           
           {/* Deck Building Section: Updated to add "Sort Deck" button */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
@@ -863,7 +1836,7 @@ const App = () => {
                       card={card}
                       onAddToDeck={addToDeck}
                       disabled={false}
-                      cardStats={cardStats}
+                      cardStats={displayStats}
                     />
                   ))}
               </div>
@@ -910,12 +1883,19 @@ const App = () => {
                     onRemoveFromDeck={removeFromDeck}
                     disabled={false}
                     inDeck={true}
-                    cardStats={cardStats}
+                    cardStats={displayStats}
                   />
                 ))}
               </div>
             </div>
           </div>
+
+          {/* New: The decks the bots built from their pools */}
+          <BotDecks
+            decks={players
+              .filter((player) => player.botDeck)
+              .map((player) => ({ seatId: player.id, ...player.botDeck }))}
+          />
         </>
       )}
     </div>
@@ -0,0 +1,48 @@
+// src/components/BotDecks/BotDecks.js
+import React from 'react';
+
+const isBasic = (card) => card.type_line === 'Basic Land';
+
+// One line per basic land name, e.g. "9 Plains, 8 Island"
+const landSummary = (lands) => {
+  const counts = {};
+  lands.forEach((card) => {
+    counts[card.name] = (counts[card.name] || 0) + 1;
+  });
+  return Object.entries(counts).map(([name, count]) => `${count} ${name}`).join(', ');
+};
+
+// Post-draft review of the decks the bots built: colors and counts, with each decklist
+// folded away under its bot
+const BotDecks = ({ decks = [] }) => {
+  if (decks.length === 0) return null;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mt-8" aria-label="Bot Decks">
+      <h2 className="text-2xl font-bold mb-4">Bot Decks</h2>
+      {decks.map(({ seatId, colors, splash, deck }) => {
+        const spells = deck.filter((card) => !isBasic(card)).sort((a, b) => (a.cmc || 0) - (b.cmc || 0));
+        const lands = deck.filter(isBasic);
+        return (
+          <details key={seatId} className="mb-2">
+            <summary className="cursor-pointer">
+              <strong>{seatId}</strong>: {colors.join('')}
+              {splash && ` splash ${splash}`} ({spells.length} spells, {lands.length} lands)
+            </summary>
+            <ul className="text-sm ml-4 mt-2">
+              {spells.map((card) => (
+                <li key={card.id}>
+                  <span className="text-gray-400">{card.cmc || 0}</span> {card.name}
+                </li>
+              ))}
+              <li className="mt-1 text-gray-300">{landSummary(lands)}</li>
+            </ul>
+          </details>
+        );
+      })}
+    </div>
+  );
+};
+
+
+export default BotDecks;
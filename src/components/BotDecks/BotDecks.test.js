@@ -0,0 +1,47 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import BotDecks from '../BotDecks/BotDecks';
+
+describe('BotDecks Component', () => {
+  const basic = (name, i) => ({ id: `${name}-${i}`, name, type_line: 'Basic Land', cmc: 0 });
+  const decks = [
+    {
+      seatId: 'AI_1',
+      colors: ['W', 'U'],
+      splash: 'B',
+      deck: [
+        { id: 'c1', name: 'Serra Angel', type_line: 'Creature — Angel', cmc: 5 },
+        { id: 'c2', name: 'Counterspell', type_line: 'Instant', cmc: 2 },
+        basic('Plains', 0),
+        basic('Plains', 1),
+        basic('Island', 0),
+      ],
+    },
+    { seatId: 'AI_2', colors: ['R', 'G'], splash: null, deck: [basic('Forest', 0)] },
+  ];
+
+  test('summarises each bot deck by colors and counts', () => {
+    render(<BotDecks decks={decks} />);
+
+    expect(screen.getByText('Bot Decks')).toBeInTheDocument();
+    const [first, second] = screen.getAllByRole('group');
+    expect(first).toHaveTextContent('AI_1: WU splash B (2 spells, 3 lands)');
+    expect(second).toHaveTextContent('AI_2: RG (0 spells, 1 lands)');
+  });
+
+  test('lists spells by mana value, then the basics', () => {
+    render(<BotDecks decks={decks} />);
+
+    const items = screen.getAllByRole('listitem');
+    expect(items[0]).toHaveTextContent('Counterspell');
+    expect(items[1]).toHaveTextContent('Serra Angel');
+    expect(items[2]).toHaveTextContent('2 Plains, 1 Island');
+  });
+
+  test('renders nothing before any bot has a deck', () => {
+    const { container } = render(<BotDecks decks={[]} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
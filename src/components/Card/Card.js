@@ -21,6 +21,10 @@ const Card = ({ card, onPick, disabled = false, onAddToDeck, onRemoveFromDeck, i
       />
       <div className="p-4 text-white min-h-[60px]">
         <h3 className="text-lg font-bold truncate">{card.name}</h3>
+        {/* New: Mark cards opened from a foil slot */}
+        {card.foil && (
+          <span className="inline-block mt-1 text-xs font-semibold bg-gradient-to-r from-pink-400 via-yellow-300 to-teal-300 text-gray-900 px-2 rounded">Foil</span>
+        )}
         {/* Updated: Conditionally render the button ONLY if stats exist (hide if empty) */}
         {Object.keys(stats).length > 0 && (
           <>
@@ -40,6 +44,9 @@ const Card = ({ card, onPick, disabled = false, onAddToDeck, onRemoveFromDeck, i
             <p className="text-yellow-300"><strong>GIHWR:</strong> {stats.gihwr ? `${stats.gihwr}%` : 'N/A'}</p>
             <p className="text-blue-300"><strong>OHWR:</strong> {stats.ohwr ? `${stats.ohwr}%` : 'N/A'}</p>
             <p className="text-green-300"><strong>GDWR:</strong> {stats.gdwr ? `${stats.gdwr}%` : 'N/A'}</p>
+            {/* New: Pick-position stats, when the ratings export has them */}
+            {stats.ata !== undefined && <p className="text-purple-300"><strong>ATA:</strong> {stats.ata}</p>}
+            {stats.alsa !== undefined && <p className="text-purple-300"><strong>ALSA:</strong> {stats.alsa}</p>}
           </div>
         )}
       </div>
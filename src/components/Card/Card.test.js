@@ -57,6 +57,18 @@ describe('Card Component', () => {
       const cardDiv = container.firstChild;
       expect(cardDiv).toHaveClass('border-4', 'border-yellow-500');
     });
+
+    test('shows a foil badge for foil-slot cards', () => {
+      render(<Card card={{ ...mockCard, foil: true }} />);
+
+      expect(screen.getByText('Foil')).toBeInTheDocument();
+    });
+
+    test('hides the foil badge for regular cards', () => {
+      render(<Card card={mockCard} />);
+
+      expect(screen.queryByText('Foil')).not.toBeInTheDocument();
+    });
   });
 
   describe('Click Handlers', () => {
@@ -163,6 +175,22 @@ describe('Card Component', () => {
       expect(screen.getByText('62.5%')).toBeInTheDocument();
       expect(screen.getAllByText('N/A')).toHaveLength(2); // For OHWR and GDWR
     });
+    test('shows ATA and ALSA when the ratings include them', () => {
+      const pickStats = { 'Lightning Bolt': { gihwr: 62.5, ata: 2.4, alsa: 3.1, color: 'R' } };
+
+      render(<Card card={mockCard} cardStats={pickStats} showGlobalStats={true} />);
+
+      expect(screen.getByText('ATA:')).toBeInTheDocument();
+      expect(screen.getByText('2.4')).toBeInTheDocument();
+      expect(screen.getByText('3.1')).toBeInTheDocument();
+    });
+
+    test('leaves out pick-position stats the ratings do not have', () => {
+      render(<Card card={mockCard} cardStats={mockCardStats} showGlobalStats={true} />);
+
+      expect(screen.queryByText('ATA:')).not.toBeInTheDocument();
+      expect(screen.queryByText('ALSA:')).not.toBeInTheDocument();
+    });
   });
 
   describe('Hover Effects', () => {
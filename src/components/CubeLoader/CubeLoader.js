@@ -0,0 +1,66 @@
+// src/components/CubeLoader/CubeLoader.js
+import React, { useState } from 'react';
+
+// Cube list entry: upload a .txt/.csv file or paste the list, pick a pack size, start drafting
+const CubeLoader = ({ onStartCube, loading = false, error = '', notFound = [] }) => {
+  const [cubeText, setCubeText] = useState('');
+  const [packSize, setPackSize] = useState(15);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      setCubeText(await file.text());
+    }
+  };
+
+  const canStart = cubeText.trim().length > 0 && packSize > 0 && !loading;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 mb-6 max-w-2xl mx-auto">
+      <h2 className="text-xl font-bold mb-2">Cube Draft</h2>
+      <p className="text-sm text-gray-400 mb-2">One card name per line (optionally "2 Name"), or a CSV with a Name column and optional Count.</p>
+      <input
+        type="file"
+        accept=".txt,.csv,text/plain,text/csv"
+        onChange={handleFile}
+        className="mb-2 block text-sm"
+        aria-label="Cube File"
+      />
+      <textarea
+        value={cubeText}
+        onChange={(e) => setCubeText(e.target.value)}
+        rows={6}
+        className="w-full bg-gray-700 text-white p-2 rounded mb-2"
+        placeholder="Lightning Bolt&#10;Counterspell&#10;..."
+        aria-label="Cube List"
+      />
+      <div className="flex items-center space-x-2">
+        <label className="text-sm" htmlFor="cube-pack-size">Pack size</label>
+        <input
+          id="cube-pack-size"
+          type="number"
+          min={1}
+          value={packSize}
+          onChange={(e) => setPackSize(parseInt(e.target.value, 10) || 0)}
+          className="bg-gray-700 text-white p-2 rounded w-20"
+        />
+        <button
+          onClick={() => onStartCube(cubeText, packSize)}
+          disabled={!canStart}
+          className={`px-4 py-2 rounded text-white ${
+            canStart ? 'bg-green-500 hover:bg-green-600' : 'bg-gray-600 cursor-not-allowed'
+          }`}
+        >
+          {loading ? 'Loading Cube...' : 'Start Cube Draft'}
+        </button>
+      </div>
+      {error && <p className="text-red-400 mt-2">{error}</p>}
+      {notFound.length > 0 && (
+        <p className="text-yellow-400 mt-2 text-sm">Not found on Scryfall: {notFound.join(', ')}</p>
+      )}
+    </div>
+  );
+};
+
+
+export default CubeLoader;
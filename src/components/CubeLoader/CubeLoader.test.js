@@ -0,0 +1,43 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import CubeLoader from '../CubeLoader/CubeLoader';
+
+describe('CubeLoader Component', () => {
+  test('disables the start button until a list is entered', () => {
+    render(<CubeLoader onStartCube={jest.fn()} />);
+
+    expect(screen.getByText('Start Cube Draft')).toBeDisabled();
+  });
+
+  test('starts the cube draft with the pasted list and pack size', () => {
+    const onStartCube = jest.fn();
+    render(<CubeLoader onStartCube={onStartCube} />);
+
+    fireEvent.change(screen.getByLabelText('Cube List'), { target: { value: 'Lightning Bolt\nShock' } });
+    fireEvent.change(screen.getByLabelText('Pack size'), { target: { value: '9' } });
+    fireEvent.click(screen.getByText('Start Cube Draft'));
+
+    expect(onStartCube).toHaveBeenCalledWith('Lightning Bolt\nShock', 9);
+  });
+
+  test('loads an uploaded file into the list', async () => {
+    render(<CubeLoader onStartCube={jest.fn()} />);
+
+    const file = new File(['Counterspell\nDark Ritual'], 'cube.txt', { type: 'text/plain' });
+    file.text = () => Promise.resolve('Counterspell\nDark Ritual');
+    fireEvent.change(screen.getByLabelText('Cube File'), { target: { files: [file] } });
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Cube List')).toHaveValue('Counterspell\nDark Ritual');
+    });
+  });
+
+  test('shows loading, errors and unresolved names', () => {
+    render(<CubeLoader onStartCube={jest.fn()} loading={true} error="Cube too small" notFound={['Not A Card']} />);
+
+    expect(screen.getByText('Loading Cube...')).toBeDisabled();
+    expect(screen.getByText('Cube too small')).toBeInTheDocument();
+    expect(screen.getByText('Not found on Scryfall: Not A Card')).toBeInTheDocument();
+  });
+});
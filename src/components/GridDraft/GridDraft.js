@@ -0,0 +1,89 @@
+// src/components/GridDraft/GridDraft.js
+import React from 'react';
+import Card from '../Card/Card';
+import { GRID_SIZE, getGridLines } from '../../utils/grid';
+
+const lineLabel = (line) => `${line.type === 'row' ? 'Row' : 'Column'} ${line.index + 1}`;
+
+// Grid table: the 3x3 grid, row/column buttons for the human's turn, and every line taken
+const GridDraft = ({
+  cells = [],
+  gridNumber,
+  gridCount,
+  activeSeatId,
+  isHumanTurn,
+  log = [],
+  onTakeLine,
+  cardStats,
+  showGlobalStats,
+}) => {
+  const openLines = getGridLines(cells);
+  const isOpen = (type, index) => openLines.some((line) => line.type === type && line.index === index);
+  const indexes = Array.from({ length: GRID_SIZE }, (_, i) => i);
+
+  const lineButton = (type, index) => (
+    <button
+      key={`${type}-${index}`}
+      onClick={() => onTakeLine({ type, index })}
+      disabled={!isHumanTurn || !isOpen(type, index)}
+      className={`px-3 py-1 rounded text-white text-sm ${
+        isHumanTurn && isOpen(type, index) ? 'bg-green-500 hover:bg-green-600' : 'bg-gray-600 cursor-not-allowed'
+      }`}
+    >
+      Take {lineLabel({ type, index })}
+    </button>
+  );
+
+  return (
+    <div className="my-6">
+      <div className="text-center mb-2">
+        <p className="text-lg">Grid {gridNumber + 1} of {gridCount}</p>
+        <p className={`text-xl font-bold ${isHumanTurn ? 'text-green-400' : 'text-gray-300'}`}>
+          {isHumanTurn ? 'Your pick' : `Waiting for ${activeSeatId}...`}
+        </p>
+      </div>
+      <div className="flex justify-center space-x-2 mb-2">
+        {indexes.map((index) => lineButton('column', index))}
+      </div>
+      <div className="flex justify-center space-x-4 mb-4">
+        <div className="flex flex-col justify-around space-y-2">
+          {indexes.map((index) => lineButton('row', index))}
+        </div>
+        <div className="grid grid-cols-3 gap-4" aria-label="Draft Grid">
+          {cells.map((card, cell) =>
+            card ? (
+              <Card
+                key={card.id}
+                card={card}
+                disabled={true}
+                cardStats={cardStats}
+                showGlobalStats={showGlobalStats}
+              />
+            ) : (
+              <div key={`empty-${cell}`} className="bg-gray-800 rounded-lg w-48" data-testid="empty-cell" />
+            )
+          )}
+        </div>
+      </div>
+      <div className="bg-gray-800 rounded-lg p-4 max-w-2xl mx-auto">
+        <h3 className="text-lg font-bold mb-2">Picks ({log.length})</h3>
+        {log.length > 0 ? (
+          <ol className="text-sm max-h-48 overflow-y-auto" aria-label="Grid Pick Log">
+            {[...log].reverse().map((entry, index) => (
+              <li key={log.length - index}>
+                <span className="text-gray-400">Grid {entry.gridNumber + 1}:</span>{' '}
+                <strong>{entry.seatId === 'human' ? 'You' : entry.seatId}</strong> took {lineLabel(entry.line).toLowerCase()}
+                {': '}{entry.cards.map((card) => card.name).join(', ')}
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-sm text-gray-400">No picks yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+
+export default GridDraft;
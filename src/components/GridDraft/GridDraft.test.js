@@ -0,0 +1,63 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import GridDraft from '../GridDraft/GridDraft';
+
+jest.mock('../Card/Card', () => {
+  return function MockCard({ card }) {
+    return <div data-testid={`card-${card.id}`}>{card.name}</div>;
+  };
+});
+
+describe('GridDraft Component', () => {
+  const cells = Array.from({ length: 9 }, (_, i) => ({ id: `card-${i}`, name: `Card ${i}` }));
+
+  const baseProps = {
+    cells,
+    gridNumber: 4,
+    gridCount: 18,
+    log: [],
+    onTakeLine: jest.fn(),
+  };
+
+  test('lays out the grid and its position in the draft', () => {
+    render(<GridDraft {...baseProps} isHumanTurn={true} activeSeatId="human" />);
+
+    expect(screen.getByText('Grid 5 of 18')).toBeInTheDocument();
+    expect(screen.getByText('Your pick')).toBeInTheDocument();
+    expect(screen.getAllByTestId(/^card-/)).toHaveLength(9);
+  });
+
+  test('takes a row or column on the human turn', () => {
+    const onTakeLine = jest.fn();
+    render(<GridDraft {...baseProps} onTakeLine={onTakeLine} isHumanTurn={true} activeSeatId="human" />);
+
+    fireEvent.click(screen.getByText('Take Column 2'));
+    expect(onTakeLine).toHaveBeenCalledWith({ type: 'column', index: 1 });
+  });
+
+  test('disables lines with no cards left and every line on a bot turn', () => {
+    const taken = cells.map((card, i) => (i < 3 ? null : card));
+    const { rerender } = render(<GridDraft {...baseProps} cells={taken} isHumanTurn={true} activeSeatId="human" />);
+
+    expect(screen.getByText('Take Row 1')).toBeDisabled();
+    expect(screen.getByText('Take Row 2')).not.toBeDisabled();
+    expect(screen.getAllByTestId('empty-cell')).toHaveLength(3);
+
+    rerender(<GridDraft {...baseProps} cells={taken} isHumanTurn={false} activeSeatId="AI_1" />);
+    expect(screen.getByText('Waiting for AI_1...')).toBeInTheDocument();
+    expect(screen.getByText('Take Row 2')).toBeDisabled();
+  });
+
+  test('logs each line taken with its cards', () => {
+    const log = [
+      { seatId: 'AI_1', gridNumber: 0, line: { type: 'row', index: 0 }, cards: [{ id: 'a', name: 'Shock' }] },
+      { seatId: 'human', gridNumber: 0, line: { type: 'column', index: 2 }, cards: [{ id: 'b', name: 'Opt' }, { id: 'c', name: 'Duress' }] },
+    ];
+    render(<GridDraft {...baseProps} log={log} isHumanTurn={false} activeSeatId="AI_1" />);
+
+    const entries = screen.getAllByRole('listitem');
+    expect(entries[0]).toHaveTextContent('Grid 1: You took column 3: Opt, Duress');
+    expect(entries[1]).toHaveTextContent('Grid 1: AI_1 took row 1: Shock');
+  });
+});
@@ -0,0 +1,28 @@
+// src/components/PickTimer/PickTimer.js
+import React from 'react';
+import { formatSeconds } from '../../utils/pickTimer';
+
+// Countdown for the current pick; the bar empties as time runs out and turns red at the end
+const PickTimer = ({ secondsLeft, totalSeconds, punishing = false }) => {
+  const fraction = totalSeconds > 0 ? Math.max(0, secondsLeft / totalSeconds) : 0;
+  const urgent = secondsLeft <= 5;
+
+  return (
+    <div className="max-w-md mx-auto mb-4" role="timer" aria-label="Pick Timer">
+      <div className="flex justify-between text-sm mb-1">
+        <span>{punishing ? 'Random pick when time runs out' : 'Auto-pick when time runs out'}</span>
+        <span className={urgent ? 'text-red-400 font-bold' : ''}>{formatSeconds(secondsLeft)}</span>
+      </div>
+      <div className="bg-gray-700 rounded h-2">
+        <div
+          className={`h-2 rounded ${urgent ? 'bg-red-500' : 'bg-green-500'}`}
+          style={{ width: `${fraction * 100}%` }}
+          data-testid="pick-timer-bar"
+        />
+      </div>
+    </div>
+  );
+};
+
+
+export default PickTimer;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import PickTimer from '../PickTimer/PickTimer';
+
+describe('PickTimer Component', () => {
+  test('shows the time left and the share of the clock remaining', () => {
+    render(<PickTimer secondsLeft={30} totalSeconds={60} />);
+
+    expect(screen.getByRole('timer')).toHaveTextContent('0:30');
+    expect(screen.getByTestId('pick-timer-bar')).toHaveStyle({ width: '50%' });
+    expect(screen.getByText('Auto-pick when time runs out')).toBeInTheDocument();
+  });
+
+  test('warns in red for the last seconds', () => {
+    render(<PickTimer secondsLeft={4} totalSeconds={60} />);
+
+    expect(screen.getByText('0:04')).toHaveClass('text-red-400');
+    expect(screen.getByTestId('pick-timer-bar')).toHaveClass('bg-red-500');
+  });
+
+  test('explains the punishing mode', () => {
+    render(<PickTimer secondsLeft={20} totalSeconds={60} punishing={true} />);
+
+    expect(screen.getByText('Random pick when time runs out')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,55 @@
+// src/components/RochesterDraft/RochesterDraft.js
+import React from 'react';
+import Pack from '../Pack/Pack';
+
+// Rochester table: the face-up pack, whose turn it is, and every pick made so far
+const RochesterDraft = ({
+  pack = [],
+  round,
+  packNumber,
+  seatCount,
+  activeSeatId,
+  isHumanTurn,
+  log = [],
+  onPick,
+  cardStats,
+  suggestedCardId,
+  showGlobalStats,
+}) => {
+  return (
+    <div className="my-6">
+      <div className="text-center mb-2">
+        <p className="text-lg">Pack {packNumber + 1} of {seatCount} this round (round {round})</p>
+        <p className={`text-xl font-bold ${isHumanTurn ? 'text-green-400' : 'text-gray-300'}`}>
+          {isHumanTurn ? 'Your pick' : `Waiting for ${activeSeatId}...`}
+        </p>
+      </div>
+      <Pack
+        cards={pack}
+        onPick={onPick}
+        disabled={!isHumanTurn}
+        cardStats={cardStats}
+        suggestedCardId={suggestedCardId}
+        showGlobalStats={showGlobalStats}
+      />
+      <div className="bg-gray-800 rounded-lg p-4 max-w-2xl mx-auto">
+        <h3 className="text-lg font-bold mb-2">Picks ({log.length})</h3>
+        {log.length > 0 ? (
+          <ol className="text-sm max-h-48 overflow-y-auto" aria-label="Rochester Pick Log">
+            {[...log].reverse().map((entry, index) => (
+              <li key={`${entry.seatId}-${entry.card.id}-${log.length - index}`}>
+                <span className="text-gray-400">R{entry.round} P{entry.packNumber + 1}:</span>{' '}
+                <strong>{entry.seatId === 'human' ? 'You' : entry.seatId}</strong> took {entry.card.name}
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-sm text-gray-400">No picks yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+
+export default RochesterDraft;
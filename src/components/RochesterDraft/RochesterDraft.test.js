@@ -0,0 +1,72 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import RochesterDraft from '../RochesterDraft/RochesterDraft';
+
+jest.mock('../Card/Card', () => {
+  return function MockCard({ card, onPick, disabled }) {
+    return (
+      <div data-testid={`card-${card.id}`} onClick={() => !disabled && onPick && onPick(card)}>
+        {card.name}
+      </div>
+    );
+  };
+});
+
+describe('RochesterDraft Component', () => {
+  const pack = [
+    { id: 'card-1', name: 'Lightning Bolt' },
+    { id: 'card-2', name: 'Counterspell' },
+  ];
+
+  const baseProps = {
+    pack,
+    round: 1,
+    packNumber: 2,
+    seatCount: 8,
+    log: [],
+    onPick: jest.fn(),
+  };
+
+  test('shows the face-up pack and its position in the round', () => {
+    render(<RochesterDraft {...baseProps} isHumanTurn={true} activeSeatId="human" />);
+
+    expect(screen.getByText('Pack 3 of 8 this round (round 1)')).toBeInTheDocument();
+    expect(screen.getByText('Lightning Bolt')).toBeInTheDocument();
+    expect(screen.getByText('Your pick')).toBeInTheDocument();
+  });
+
+  test('lets the human pick only on their turn', () => {
+    const onPick = jest.fn();
+    const { rerender } = render(
+      <RochesterDraft {...baseProps} onPick={onPick} isHumanTurn={false} activeSeatId="AI_3" />
+    );
+
+    expect(screen.getByText('Waiting for AI_3...')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Counterspell'));
+    expect(onPick).not.toHaveBeenCalled();
+
+    rerender(<RochesterDraft {...baseProps} onPick={onPick} isHumanTurn={true} activeSeatId="human" />);
+    fireEvent.click(screen.getByText('Counterspell'));
+    expect(onPick).toHaveBeenCalledWith(pack[1]);
+  });
+
+  test('lists which seat took which card, newest first', () => {
+    const log = [
+      { seatId: 'human', card: { id: 'a', name: 'Shock' }, round: 1, packNumber: 0 },
+      { seatId: 'AI_1', card: { id: 'b', name: 'Opt' }, round: 1, packNumber: 0 },
+    ];
+    render(<RochesterDraft {...baseProps} log={log} isHumanTurn={false} activeSeatId="AI_2" />);
+
+    const entries = screen.getAllByRole('listitem');
+    expect(screen.getByText('Picks (2)')).toBeInTheDocument();
+    expect(entries[0]).toHaveTextContent('R1 P1: AI_1 took Opt');
+    expect(entries[1]).toHaveTextContent('R1 P1: You took Shock');
+  });
+
+  test('shows an empty log before the first pick', () => {
+    render(<RochesterDraft {...baseProps} isHumanTurn={true} activeSeatId="human" />);
+
+    expect(screen.getByText('No picks yet.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,41 @@
+// src/components/SettingInput/SettingInput.js
+import React, { useState, useEffect } from 'react';
+
+// Number input for a draft setting. Typing only edits the field; on blur or Enter the value is
+// kept within [min, max] and committed, so a setting that redeals the draft does it once.
+// A cleared or unreadable field goes back to the current value.
+const SettingInput = ({ id, value, min, max, onCommit, className = 'bg-gray-700 text-white p-2 rounded w-20' }) => {
+  const [text, setText] = useState(String(value));
+
+  // Show the setting again whenever it changes, or when a commit leaves it unchanged
+  useEffect(() => {
+    setText(String(value));
+  }, [value]);
+
+  const commit = () => {
+    const parsed = parseInt(text, 10);
+    setText(String(value));
+    if (Number.isNaN(parsed)) return;
+    const next = Math.min(max, Math.max(min, parsed));
+    if (next !== value) onCommit(next);
+  };
+
+  return (
+    <input
+      id={id}
+      type="number"
+      min={min}
+      max={max}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit();
+      }}
+      className={className}
+    />
+  );
+};
+
+
+export default SettingInput;
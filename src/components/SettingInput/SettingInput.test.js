@@ -0,0 +1,56 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SettingInput from '../SettingInput/SettingInput';
+
+describe('SettingInput Component', () => {
+  const renderInput = (onCommit, value = 8) =>
+    render(
+      <>
+        <label htmlFor="seats">Seats</label>
+        <SettingInput id="seats" value={value} min={2} max={12} onCommit={onCommit} />
+      </>
+    );
+
+  test('commits on blur or Enter, not while typing', () => {
+    const onCommit = jest.fn();
+    renderInput(onCommit);
+
+    fireEvent.change(screen.getByLabelText('Seats'), { target: { value: '1' } });
+    fireEvent.change(screen.getByLabelText('Seats'), { target: { value: '10' } });
+    expect(onCommit).not.toHaveBeenCalled();
+
+    fireEvent.blur(screen.getByLabelText('Seats'));
+    expect(onCommit).toHaveBeenCalledWith(10);
+
+    fireEvent.change(screen.getByLabelText('Seats'), { target: { value: '6' } });
+    fireEvent.keyDown(screen.getByLabelText('Seats'), { key: 'Enter' });
+    expect(onCommit).toHaveBeenLastCalledWith(6);
+  });
+
+  test('keeps committed values within range', () => {
+    const onCommit = jest.fn();
+    renderInput(onCommit);
+
+    fireEvent.change(screen.getByLabelText('Seats'), { target: { value: '40' } });
+    fireEvent.blur(screen.getByLabelText('Seats'));
+
+    expect(onCommit).toHaveBeenCalledWith(12);
+  });
+
+  test('restores the current value when cleared or turned down', () => {
+    const onCommit = jest.fn();
+    renderInput(onCommit);
+
+    fireEvent.change(screen.getByLabelText('Seats'), { target: { value: '' } });
+    fireEvent.blur(screen.getByLabelText('Seats'));
+    expect(onCommit).not.toHaveBeenCalled();
+    expect(screen.getByLabelText('Seats')).toHaveValue(8);
+
+    // The parent keeps the old value, as App does when a cube cannot deal the new pod
+    fireEvent.change(screen.getByLabelText('Seats'), { target: { value: '11' } });
+    fireEvent.blur(screen.getByLabelText('Seats'));
+    expect(onCommit).toHaveBeenCalledWith(11);
+    expect(screen.getByLabelText('Seats')).toHaveValue(8);
+  });
+});
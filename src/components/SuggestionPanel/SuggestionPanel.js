@@ -0,0 +1,42 @@
+// src/components/SuggestionPanel/SuggestionPanel.js
+import React from 'react';
+import { explainScore } from '../../utils/explainScore';
+
+// Every card in the pack ranked by score, with what each score is made of
+const SuggestionPanel = ({ rows = [], playerColors = [], onClose }) => (
+  <div className="bg-gray-800 rounded-lg p-4 max-w-3xl mx-auto mb-4" aria-label="Pick Suggestions">
+    <div className="flex justify-between items-center mb-2">
+      <h3 className="text-lg font-bold">Why this pick?</h3>
+      {onClose && (
+        <button onClick={onClose} className="text-sm text-gray-300 hover:text-white">
+          Hide
+        </button>
+      )}
+    </div>
+    <ol className="space-y-2">
+      {rows.map(({ card, breakdown }, index) => (
+        <li
+          key={card.id}
+          aria-label={card.name}
+          className={index === 0 ? 'border border-yellow-400 rounded p-2' : 'p-2'}
+        >
+          <div className="flex justify-between">
+            <span>
+              <strong>{index + 1}. {card.name}</strong>
+              {index === 0 && <span className="text-yellow-400 ml-2">Suggested</span>}
+            </span>
+            <span className="font-mono">{breakdown.total.toFixed(1)}</span>
+          </div>
+          <ul className="text-sm text-gray-300 ml-4 list-disc">
+            {explainScore(breakdown, playerColors).map((reason) => (
+              <li key={reason}>{reason}</li>
+            ))}
+          </ul>
+        </li>
+      ))}
+    </ol>
+  </div>
+);
+
+
+export default SuggestionPanel;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SuggestionPanel from '../SuggestionPanel/SuggestionPanel';
+
+describe('SuggestionPanel Component', () => {
+  const breakdown = (total, parts = {}) => ({
+    total,
+    stats: total - 10,
+    statsSource: 'winRate',
+    ratings: { gihwr: 58 },
+    color: 10,
+    colorFit: 'on',
+    needs: 0,
+    pair: 0,
+    ...parts,
+  });
+  const rows = [
+    { card: { id: 'card-1', name: 'Lightning Bolt' }, breakdown: breakdown(120.5, { needs: 3 }) },
+    { card: { id: 'card-2', name: 'Shock' }, breakdown: breakdown(98.25) },
+  ];
+
+  test('ranks the pack with each total and marks the suggestion', () => {
+    render(<SuggestionPanel rows={rows} playerColors={['R']} />);
+
+    const first = screen.getByRole('listitem', { name: 'Lightning Bolt' });
+    const second = screen.getByRole('listitem', { name: 'Shock' });
+    expect(first).toHaveTextContent('1. Lightning Bolt');
+    expect(first).toHaveTextContent('Suggested');
+    expect(first).toHaveTextContent('120.5');
+    expect(second).toHaveTextContent('2. Shock');
+    expect(second).not.toHaveTextContent('Suggested');
+  });
+
+  test('explains each score in plain language', () => {
+    render(<SuggestionPanel rows={rows} playerColors={['R']} />);
+
+    expect(screen.getAllByText('+10.0 for being in your colors (Red)')).toHaveLength(2);
+    expect(screen.getByText('+3.0 because your deck needs a card like this (curve, creatures, removal)')).toBeInTheDocument();
+  });
+
+  test('hides when closed', () => {
+    const onClose = jest.fn();
+    render(<SuggestionPanel rows={rows} playerColors={['R']} onClose={onClose} />);
+
+    fireEvent.click(screen.getByText('Hide'));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
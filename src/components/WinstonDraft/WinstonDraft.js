@@ -0,0 +1,92 @@
+// src/components/WinstonDraft/WinstonDraft.js
+import React from 'react';
+import Pack from '../Pack/Pack';
+
+// Winston table: the stack, three face-down piles, and the pile the human is looking at
+const WinstonDraft = ({
+  deckCount,
+  piles = [],
+  pileIndex,
+  isHumanTurn,
+  opponentId,
+  canPass,
+  log = [],
+  onTake,
+  onPass,
+  cardStats,
+  showGlobalStats,
+}) => {
+  const currentPile = piles[pileIndex] || [];
+
+  return (
+    <div className="my-6">
+      <div className="flex justify-center space-x-4 mb-4">
+        <div className="bg-gray-800 rounded-lg p-4 text-center w-28" aria-label="Winston Stack">
+          <p className="text-sm text-gray-400">Stack</p>
+          <p className="text-2xl font-bold">{deckCount}</p>
+        </div>
+        {piles.map((pile, index) => (
+          <div
+            key={index}
+            aria-label={`Pile ${index + 1}`}
+            className={`bg-gray-800 rounded-lg p-4 text-center w-28 ${
+              index === pileIndex ? 'ring-2 ring-yellow-400' : ''
+            }`}
+          >
+            <p className="text-sm text-gray-400">Pile {index + 1}</p>
+            <p className="text-2xl font-bold">{pile.length}</p>
+          </div>
+        ))}
+      </div>
+
+      {isHumanTurn ? (
+        <>
+          <p className="text-xl font-bold text-center text-green-400 mb-2">
+            Your turn: Pile {pileIndex + 1} ({currentPile.length} {currentPile.length === 1 ? 'card' : 'cards'})
+          </p>
+          <div className="flex space-x-2 justify-center mb-4">
+            <button onClick={onTake} className="bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded">
+              Take Pile
+            </button>
+            <button
+              onClick={onPass}
+              disabled={!canPass}
+              className={`px-4 py-2 rounded text-white ${
+                canPass ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-600 cursor-not-allowed'
+              }`}
+            >
+              Pass
+            </button>
+          </div>
+          <Pack cards={currentPile} disabled={true} cardStats={cardStats} showGlobalStats={showGlobalStats} />
+        </>
+      ) : (
+        <p className="text-xl font-bold text-center text-gray-300 mb-4">Waiting for {opponentId}...</p>
+      )}
+
+      <div className="bg-gray-800 rounded-lg p-4 max-w-2xl mx-auto">
+        <h3 className="text-lg font-bold mb-2">Turns ({log.length})</h3>
+        {log.length > 0 ? (
+          <ol className="text-sm max-h-48 overflow-y-auto" aria-label="Winston Log">
+            {[...log].reverse().map((entry, index) => (
+              <li key={log.length - index}>
+                <strong>{entry.seatId === 'human' ? 'You' : entry.seatId}</strong>{' '}
+                {entry.blind
+                  ? 'took the top card of the stack'
+                  : `took pile ${entry.pileIndex + 1} (${entry.count} ${entry.count === 1 ? 'card' : 'cards'})`}
+                {entry.seatId === 'human' && entry.cards.length > 0 && (
+                  <span className="text-gray-400">: {entry.cards.map((card) => card.name).join(', ')}</span>
+                )}
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-sm text-gray-400">No turns yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+
+export default WinstonDraft;
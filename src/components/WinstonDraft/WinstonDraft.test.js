@@ -0,0 +1,79 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import WinstonDraft from '../WinstonDraft/WinstonDraft';
+
+jest.mock('../Card/Card', () => {
+  return function MockCard({ card }) {
+    return <div data-testid={`card-${card.id}`}>{card.name}</div>;
+  };
+});
+
+describe('WinstonDraft Component', () => {
+  const piles = [
+    [{ id: 'card-1', name: 'Lightning Bolt' }, { id: 'card-2', name: 'Counterspell' }],
+    [{ id: 'card-3', name: 'Giant Growth' }],
+    [],
+  ];
+
+  const baseProps = {
+    deckCount: 40,
+    piles,
+    pileIndex: 0,
+    opponentId: 'AI_1',
+    canPass: true,
+    log: [],
+    onTake: jest.fn(),
+    onPass: jest.fn(),
+  };
+
+  test('shows the stack and pile sizes', () => {
+    render(<WinstonDraft {...baseProps} isHumanTurn={true} />);
+
+    expect(screen.getByLabelText('Winston Stack')).toHaveTextContent('40');
+    expect(screen.getByLabelText('Pile 1')).toHaveTextContent('2');
+    expect(screen.getByLabelText('Pile 3')).toHaveTextContent('0');
+  });
+
+  test('shows the current pile face-up and takes or passes it on the human turn', () => {
+    const onTake = jest.fn();
+    const onPass = jest.fn();
+    render(<WinstonDraft {...baseProps} onTake={onTake} onPass={onPass} isHumanTurn={true} />);
+
+    expect(screen.getByText('Your turn: Pile 1 (2 cards)')).toBeInTheDocument();
+    expect(screen.getByText('Lightning Bolt')).toBeInTheDocument();
+    expect(screen.queryByText('Giant Growth')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Take Pile'));
+    fireEvent.click(screen.getByText('Pass'));
+    expect(onTake).toHaveBeenCalledTimes(1);
+    expect(onPass).toHaveBeenCalledTimes(1);
+  });
+
+  test('disables Pass when the pile must be taken', () => {
+    render(<WinstonDraft {...baseProps} canPass={false} isHumanTurn={true} />);
+
+    expect(screen.getByText('Pass')).toBeDisabled();
+  });
+
+  test('hides the piles while the bot looks at them', () => {
+    render(<WinstonDraft {...baseProps} isHumanTurn={false} />);
+
+    expect(screen.getByText('Waiting for AI_1...')).toBeInTheDocument();
+    expect(screen.queryByText('Lightning Bolt')).not.toBeInTheDocument();
+    expect(screen.queryByText('Take Pile')).not.toBeInTheDocument();
+  });
+
+  test('logs the bot turn without its cards and the human turn with them', () => {
+    const log = [
+      { seatId: 'human', pileIndex: 1, count: 1, cards: [{ id: 'a', name: 'Shock' }], blind: false },
+      { seatId: 'AI_1', pileIndex: 2, count: 1, cards: [{ id: 'b', name: 'Opt' }], blind: true },
+    ];
+    render(<WinstonDraft {...baseProps} log={log} isHumanTurn={false} />);
+
+    const entries = screen.getAllByRole('listitem');
+    expect(entries[0]).toHaveTextContent('AI_1 took the top card of the stack');
+    expect(entries[0]).not.toHaveTextContent('Opt');
+    expect(entries[1]).toHaveTextContent('You took pile 2 (1 card): Shock');
+  });
+});
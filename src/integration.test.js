@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import '@testing-library/jest-dom';
 import axios from 'axios';
@@ -234,6 +234,27 @@ describe('Integration Tests - Full Draft Flow', () => {
       
       // Verify no cards are highlighted
     });
+
+    test('explains the ranking of the whole pack', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      const packSize = screen.getAllByRole('img').length;
+      await user.click(screen.getByText(/Suggest Pick/));
+
+      const panel = screen.getByLabelText('Pick Suggestions');
+      expect(panel).toHaveTextContent('Why this pick?');
+      expect(panel).toHaveTextContent('Suggested');
+      expect(panel).toHaveTextContent(/\+\d+\.\d from (its|an estimated)/);
+      expect(within(panel).getAllByText(/^\d+\. /)).toHaveLength(packSize);
+
+      await user.click(screen.getByText('Hide'));
+      expect(screen.queryByLabelText('Pick Suggestions')).not.toBeInTheDocument();
+    });
   });
 
   describe('Set Selection', () => {
@@ -407,6 +428,481 @@ describe('Integration Tests - Full Draft Flow', () => {
     });
   });
 
+  describe('Sealed Mode', () => {
+    test('opens six packs straight into the deck builder', async () => {
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'sealed' } });
+
+      expect(await screen.findByText('Sealed pool opened (6 packs)! Now build your deck.')).toBeInTheDocument();
+      expect(screen.getByText('Drafted Cards (90)')).toBeInTheDocument();
+      expect(screen.queryByText(/Round 1\/3/)).not.toBeInTheDocument();
+    });
+
+    test('opens the configured number of packs', async () => {
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'sealed' } });
+      fireEvent.change(screen.getByLabelText('Packs'), { target: { value: '4' } });
+      fireEvent.blur(screen.getByLabelText('Packs'));
+
+      expect(await screen.findByText('Drafted Cards (60)')).toBeInTheDocument();
+    });
+  });
+
+  describe('Pod Settings', () => {
+    test('drafts with the chosen seats, rounds and pack size', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Seats'), { target: { value: '6' } });
+      fireEvent.blur(screen.getByLabelText('Seats'));
+      fireEvent.change(screen.getByLabelText('Rounds'), { target: { value: '4' } });
+      fireEvent.blur(screen.getByLabelText('Rounds'));
+      fireEvent.change(screen.getByLabelText('Cards per pack'), { target: { value: '10' } });
+      fireEvent.blur(screen.getByLabelText('Cards per pack'));
+
+      expect(await screen.findByText(/Round 1\/4/)).toBeInTheDocument();
+      expect(screen.getByText(/Current Pack/)).toHaveTextContent(/10 cards/);
+
+      for (let pick = 0; pick < 10; pick++) {
+        await user.click(screen.getAllByRole('img')[0]);
+      }
+
+      expect(await screen.findByText(/Round 2\/4/)).toBeInTheDocument();
+      expect(screen.getByText(/Current Pack/)).toHaveTextContent(/10 cards/);
+    });
+
+    test('takes two cards from each pack before passing in pick-two drafts', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Picks per pass'), { target: { value: '2' } });
+      fireEvent.blur(screen.getByLabelText('Picks per pass'));
+
+      expect(await screen.findByText('Pick 1 of 2 from this pack')).toBeInTheDocument();
+      const packSize = parseInt(screen.getByText(/Current Pack/).textContent.match(/(\d+) cards/)[1], 10);
+
+      await user.click(screen.getAllByRole('img')[0]);
+      expect(screen.getByText('Pick 2 of 2 from this pack')).toBeInTheDocument();
+      expect(screen.getByText(/Current Pack/)).toHaveTextContent(`${packSize - 1} cards`);
+
+      await user.click(screen.getAllByRole('img')[0]);
+      expect(screen.getByText('Pick 1 of 2 from this pack')).toBeInTheDocument();
+      expect(screen.getByText(/Current Pack/)).toHaveTextContent(`${packSize - 2} cards`);
+      expect(screen.getByText('Your Deck (2 cards)')).toBeInTheDocument();
+    });
+
+    test('keeps the current cube draft when the cube cannot deal a larger pod', async () => {
+      const cubeCards = Array.from({ length: 30 }, (_, i) => generateMockCard(`cube-${i}`, `Cube Card ${i}`, 'common'));
+      axios.post.mockResolvedValue({ data: { data: cubeCards } });
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Seats'), { target: { value: '2' } });
+      fireEvent.blur(screen.getByLabelText('Seats'));
+      fireEvent.change(screen.getByLabelText('Rounds'), { target: { value: '1' } });
+      fireEvent.blur(screen.getByLabelText('Rounds'));
+      fireEvent.change(screen.getByLabelText('Cube List'), { target: { value: cubeCards.map((card) => card.name).join('\n') } });
+      fireEvent.click(screen.getByText('Start Cube Draft'));
+
+      expect(await screen.findByText(/Round 1\/1/)).toBeInTheDocument();
+      expect(screen.getByText(/Current Pack/)).toHaveTextContent(/15 cards/);
+
+      fireEvent.change(screen.getByLabelText('Seats'), { target: { value: '3' } });
+      fireEvent.blur(screen.getByLabelText('Seats'));
+
+      expect(screen.getByText('Cube has 30 cards but 3 packs of 15 need 45.')).toBeInTheDocument();
+      expect(screen.getByLabelText('Seats')).toHaveValue(2);
+      expect(screen.getByText(/Round 1\/1/)).toBeInTheDocument();
+      expect(screen.getByText(/Current Pack/)).toHaveTextContent(/15 cards/);
+    });
+
+    test('auto-picks for the human when the pick timer runs out', async () => {
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      jest.useFakeTimers();
+      try {
+        fireEvent.click(screen.getByText('Show Draft Setup'));
+        fireEvent.change(screen.getByLabelText('Pick timer'), { target: { value: 'auto' } });
+        fireEvent.change(screen.getByLabelText('Seconds per card'), { target: { value: '1' } });
+        fireEvent.blur(screen.getByLabelText('Seconds per card'));
+
+        const timer = screen.getByRole('timer');
+        const seconds = parseInt(screen.getByText(/Current Pack/).textContent.match(/(\d+) cards/)[1], 10);
+        expect(timer).toHaveTextContent(`0:${String(seconds).padStart(2, '0')}`);
+
+        for (let tick = 0; tick < seconds; tick++) {
+          act(() => {
+            jest.advanceTimersByTime(1000);
+          });
+        }
+
+        expect(screen.getByText('Your Deck (1 cards)')).toBeInTheDocument();
+        expect(screen.getByRole('timer')).toHaveTextContent(`0:${String(seconds - 1).padStart(2, '0')}`);
+
+        // Updating players without picking leaves the clock where it was
+        act(() => {
+          jest.advanceTimersByTime(1000);
+        });
+        fireEvent.change(screen.getByLabelText('Bot difficulty'), { target: { value: 'novice' } });
+        expect(screen.getByRole('timer')).toHaveTextContent(`0:${String(seconds - 2).padStart(2, '0')}`);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('gives each bot seat its own strategy without restarting the draft', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      await user.click(screen.getAllByRole('img')[0]);
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+
+      expect(screen.getByLabelText('AI_7')).toHaveValue('balanced');
+      fireEvent.change(screen.getByLabelText('AI_1'), { target: { value: 'random' } });
+      fireEvent.change(screen.getByLabelText('AI_2'), { target: { value: 'rareDrafter' } });
+
+      expect(screen.getByLabelText('AI_1')).toHaveValue('random');
+      expect(screen.getByText('Your Deck (1 cards)')).toBeInTheDocument();
+
+      await user.click(screen.getAllByRole('img')[0]);
+      expect(screen.getByText('Your Deck (2 cards)')).toBeInTheDocument();
+    });
+
+    test('switches bot scoring to taken-at mid-draft', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      expect(screen.getByLabelText('Bot scoring')).toHaveValue('winRate');
+      fireEvent.change(screen.getByLabelText('Bot scoring'), { target: { value: 'takenAt' } });
+      expect(screen.getByLabelText('Bot scoring')).toHaveValue('takenAt');
+
+      // Ratings without ATA fall back to win rates, so the draft carries on as before
+      await user.click(screen.getAllByRole('img')[0]);
+      expect(screen.getByText('Your Deck (1 cards)')).toBeInTheDocument();
+    });
+
+    test('changes bot difficulty without restarting the draft', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      await user.click(screen.getAllByRole('img')[0]);
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+
+      expect(screen.getByLabelText('Bot difficulty')).toHaveValue('skilled');
+      fireEvent.change(screen.getByLabelText('Bot difficulty'), { target: { value: 'novice' } });
+      expect(screen.getByLabelText('Bot difficulty')).toHaveValue('novice');
+      expect(screen.getByText('Your Deck (1 cards)')).toBeInTheDocument();
+
+      await user.click(screen.getAllByRole('img')[0]);
+      expect(screen.getByText('Your Deck (2 cards)')).toBeInTheDocument();
+    });
+
+    test('bots build 40-card decks when the draft ends', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Seats'), { target: { value: '2' } });
+      fireEvent.blur(screen.getByLabelText('Seats'));
+      fireEvent.change(screen.getByLabelText('Rounds'), { target: { value: '1' } });
+      fireEvent.blur(screen.getByLabelText('Rounds'));
+      fireEvent.change(screen.getByLabelText('Cards per pack'), { target: { value: '5' } });
+      fireEvent.blur(screen.getByLabelText('Cards per pack'));
+      expect(await screen.findByText(/Round 1\/1/)).toBeInTheDocument();
+
+      for (let pick = 0; pick < 5; pick++) {
+        await user.click(screen.getAllByRole('img')[0]);
+      }
+
+      expect(await screen.findByText('Bot Decks')).toBeInTheDocument();
+      expect(screen.getByRole('group')).toHaveTextContent(/AI_1: \w+ \(\d+ spells, \d+ lands\)/);
+    });
+
+    test('shows your colors from the commitment model as you pick', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      expect(screen.getByLabelText('Your Colors')).toHaveTextContent('Your colors: open');
+
+      await user.click(screen.getAllByRole('img')[0]);
+      expect(screen.getByLabelText('Your Colors')).toHaveTextContent(/Your colors: (White|Blue|Black|Red|Green) \(still flexible\)/);
+    });
+
+    test('Rochester uses the chosen seat count', async () => {
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'rochester' } });
+      fireEvent.change(screen.getByLabelText('Seats'), { target: { value: '4' } });
+      fireEvent.blur(screen.getByLabelText('Seats'));
+
+      expect(await screen.findByText('Pack 1 of 4 this round (round 1)')).toBeInTheDocument();
+    });
+  });
+
+  describe('Mixed-Set Drafts', () => {
+    const mixedSets = [
+      { code: 'dmu', name: 'Dominaria United', set_type: 'expansion', released_at: '2022-09-09', digital: false },
+      { code: 'bro', name: "The Brothers' War", set_type: 'expansion', released_at: '2022-11-18', digital: false },
+    ];
+
+    // Each set's search returns its own cards, named after the set and released with it, and a
+    // Forest unless the set is listed in `setsWithoutBasics`
+    const mockSetSearch = (setList = mixedSets, setsWithoutBasics = []) => {
+      axios.get.mockImplementation((url) => {
+        if (url.includes('/sets')) {
+          return Promise.resolve({ data: { data: setList } });
+        }
+        const code = url.match(/e%3A(\w+)/)[1];
+        const releasedAt = setList.find((set) => set.code === code).released_at;
+        const setCards = Array.from({ length: 40 }, (_, i) => ({
+          ...generateMockCard(`${code}-${i}`, `${code.toUpperCase()} Card ${i}`, i < 5 ? 'rare' : i < 15 ? 'uncommon' : 'common'),
+          set: code,
+          released_at: releasedAt,
+        }));
+        if (setsWithoutBasics.includes(code)) {
+          return Promise.resolve({ data: { data: setCards, has_more: false } });
+        }
+        setCards.push({ id: `${code}-forest`, name: 'Forest', rarity: 'common', set: code, type_line: 'Basic Land — Forest', image_uris: { normal: 'https://example.com/forest.jpg' } });
+        return Promise.resolve({ data: { data: setCards, has_more: false } });
+      });
+    };
+
+    test('opens round 1 from the set chosen for it', async () => {
+      mockSetSearch();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+      expect(screen.getAllByRole('img')[0]).toHaveAttribute('alt', expect.stringMatching(/^DMU Card/));
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Sets'), { target: { value: 'mixed' } });
+      fireEvent.change(screen.getByLabelText('Round 1'), { target: { value: 'bro' } });
+      fireEvent.click(screen.getByText('Start Mixed-Set Draft'));
+
+      await waitFor(() => {
+        expect(screen.getAllByRole('img')[0]).toHaveAttribute('alt', expect.stringMatching(/^BRO Card/));
+      });
+      expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('e%3Abro'));
+    });
+
+    test('chaos drafts load the sets their packs come from', async () => {
+      mockSetSearch();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Sets'), { target: { value: 'chaos' } });
+      fireEvent.click(screen.getByText('Start Chaos Draft'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Start Chaos Draft')).not.toBeDisabled();
+      });
+      expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      expect(screen.getAllByRole('img')[0]).toHaveAttribute('alt', expect.stringMatching(/^(DMU|BRO) Card/));
+    });
+
+    test('chaos drafts leave out sets printed without basic lands', async () => {
+      mockSetSearch([
+        mixedSets[0],
+        { code: 'dka', name: 'Dark Ascension', set_type: 'expansion', released_at: '2012-02-03', digital: false },
+      ], ['dka']);
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Sets'), { target: { value: 'chaos' } });
+      fireEvent.click(screen.getByText('Start Chaos Draft'));
+
+      await waitFor(() => {
+        expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('e%3Adka'));
+      });
+      await waitFor(() => {
+        expect(screen.getByText('Start Chaos Draft')).not.toBeDisabled();
+      });
+      expect(screen.queryByText('No Basic Lands available in the card pool.')).not.toBeInTheDocument();
+      screen.getAllByRole('img').forEach((img) => {
+        expect(img).toHaveAttribute('alt', expect.not.stringMatching(/^DKA Card/));
+      });
+    });
+
+    test('chaos rounds that mix Play and Draft Boosters run to the end', async () => {
+      const user = userEvent.setup();
+      mockSetSearch([
+        mixedSets[0],
+        { code: 'mkm', name: 'Murders at Karlov Manor', set_type: 'expansion', released_at: '2024-02-09', digital: false },
+      ]);
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      // Two seats and one round; seed "mixed" gives one seat a DMU Draft Booster (15 cards) and
+      // the other an MKM Play Booster (14)
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Seats'), { target: { value: '2' } });
+      fireEvent.blur(screen.getByLabelText('Seats'));
+      fireEvent.change(screen.getByLabelText('Rounds'), { target: { value: '1' } });
+      fireEvent.blur(screen.getByLabelText('Rounds'));
+      fireEvent.change(screen.getByLabelText('Draft Seed'), { target: { value: 'mixed' } });
+      fireEvent.click(screen.getByText('Use Seed'));
+      fireEvent.change(screen.getByLabelText('Sets'), { target: { value: 'chaos' } });
+      fireEvent.click(screen.getByText('Start Chaos Draft'));
+
+      await waitFor(() => {
+        expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('e%3Amkm'));
+      });
+      await waitFor(() => {
+        expect(screen.getByText('Start Chaos Draft')).not.toBeDisabled();
+      });
+      expect(screen.getByText(/Current Pack/)).toHaveTextContent(/14 cards/);
+
+      for (let pick = 0; pick < 14; pick++) {
+        await user.click(screen.getAllByRole('img')[0]);
+      }
+
+      expect(await screen.findByText('Bot Decks')).toBeInTheDocument();
+      expect(screen.queryByText('No pack available')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Rochester Mode', () => {
+    test('lays one pack face-up and logs bot picks in turn', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'rochester' } });
+
+      expect(await screen.findByText('Your pick')).toBeInTheDocument();
+      expect(screen.getByText('Pack 1 of 8 this round (round 1)')).toBeInTheDocument();
+
+      const cards = screen.getAllByRole('img');
+      await user.click(cards[0]);
+
+      expect(await screen.findByText('Waiting for AI_1...')).toBeInTheDocument();
+      await waitFor(() => {
+        expect(screen.getByText('Picks (2)')).toBeInTheDocument();
+      }, { timeout: 2000 });
+      expect(screen.getAllByRole('listitem')[0]).toHaveTextContent(/AI_1 took/);
+    });
+  });
+
+  describe('Winston Mode', () => {
+    test('plays one human against one bot from a shared stack', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'winston' } });
+
+      expect(await screen.findByText('Your turn: Pile 1 (1 card)')).toBeInTheDocument();
+      // Six packs without their basic lands, less the three cards that start the piles
+      expect(screen.getByLabelText('Winston Stack')).toHaveTextContent('81');
+
+      await user.click(screen.getByText('Take Pile'));
+
+      expect(await screen.findByText('Waiting for AI_1...')).toBeInTheDocument();
+      expect(screen.getAllByRole('listitem')[0]).toHaveTextContent(/You took pile 1 \(1 card\)/);
+      expect(await screen.findByText(/Your turn: Pile/, {}, { timeout: 5000 })).toBeInTheDocument();
+    });
+  });
+
+  describe('Grid Mode', () => {
+    test('lays out a 3x3 grid and the bot takes a line after the human', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Round 1\/3/)).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Show Draft Setup'));
+      fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'grid' } });
+
+      expect(await screen.findByText('Grid 1 of 18')).toBeInTheDocument();
+      expect(screen.getByText('Your pick')).toBeInTheDocument();
+
+      await user.click(screen.getByText('Take Row 1'));
+
+      expect(await screen.findByText('Waiting for AI_1...')).toBeInTheDocument();
+      expect(await screen.findByText('Grid 2 of 18', {}, { timeout: 2000 })).toBeInTheDocument();
+      expect(screen.getAllByRole('listitem')[1]).toHaveTextContent(/You took row 1/);
+    });
+  });
+
   describe('Performance', () => {
     test('handles large number of cards efficiently', async () => {
       const largeCardSet = Array.from({ length: 500 }, (_, i) => 
@@ -0,0 +1,145 @@
+// src/utils/bots.js
+// Bot strategies: each seat carries a `strategy` id, and the strategy decides which card
+// that seat takes from a pack. Strategies get the app's card scorer through `context`
+// ({ scoreCard(card, player), rng }) so they can build on the shared ratings-based score.
+// When the set has a trained pick model, `context.learnedScore(card, player)` scores with it.
+import { pickRandom } from './random';
+import { getSignalShare } from './signals';
+
+const RARITY_RANK = { mythic: 4, rare: 3, uncommon: 2, common: 1 };
+
+// Forced-color bots add this share of the pack's score spread to on-color cards and take
+// it off off-color cards
+const FORCE_COLOR_BONUS = 0.6;
+
+// How strongly signal readers weigh open colors into each pick, in pack score spreads per
+// unit of signal share
+const SIGNAL_WEIGHT = 2.5;
+
+const cardColors = (card) => card.colors || [];
+const rarityRank = (card) => RARITY_RANK[card.rarity] || 0;
+
+// Highest-scoring card in the pack; ties keep pack order
+export const pickBest = (pack, score) => {
+  let best = null;
+  let bestScore = -Infinity;
+  pack.forEach((card) => {
+    const value = score(card);
+    if (value > bestScore) {
+      best = card;
+      bestScore = value;
+    }
+  });
+  return best;
+};
+
+// Gap between the best and worst score on offer. Color bonuses are added in shares of it
+// rather than multiplied in, so they keep their size and direction on any score scale,
+// including taken-at scores that a color penalty pushes to zero or below.
+const getScoreSpread = (pack, score) => {
+  const scores = pack.map(score);
+  return Math.max(...scores) - Math.min(...scores);
+};
+
+export const BOT_STRATEGIES = {
+  balanced: {
+    name: 'Balanced',
+    description: 'Best card by ratings, leaning into its colors',
+    pickCard: (pack, player, context) => pickBest(pack, (card) => context.scoreCard(card, player)),
+  },
+  forceColor: {
+    name: 'Forces a Color',
+    description: 'Sticks to the color it was seated with',
+    pickCard: (pack, player, context) => {
+      const forced = player.forcedColor || player.colors[0];
+      const bonus = FORCE_COLOR_BONUS * getScoreSpread(pack, (card) => context.scoreCard(card, player));
+      return pickBest(pack, (card) => {
+        const score = context.scoreCard(card, player);
+        if (cardColors(card).length === 0 || !forced) return score;
+        return score + (cardColors(card).includes(forced) ? bonus : -bonus);
+      });
+    },
+  },
+  rareDrafter: {
+    name: 'Rare-Drafter',
+    description: 'Takes the rarest card, then the best of those',
+    pickCard: (pack, player, context) => {
+      const topRank = Math.max(...pack.map(rarityRank));
+      return pickBest(pack.filter((card) => rarityRank(card) === topRank), (card) => context.scoreCard(card, player));
+    },
+  },
+  rawPower: {
+    name: 'Raw Power',
+    description: 'Best card regardless of its colors',
+    pickCard: (pack, player, context) => pickBest(pack, (card) => context.scoreCard(card, { ...player, colors: [] })),
+  },
+  signalReader: {
+    name: 'Signal Reader',
+    description: 'Weighs every pick toward the colors flowing in the packs it is passed',
+    pickCard: (pack, player, context) => {
+      const spread = getScoreSpread(pack, (card) => context.scoreCard(card, player));
+      return pickBest(pack, (card) => {
+        const score = context.scoreCard(card, player);
+        const colors = cardColors(card);
+        if (colors.length === 0) return score;
+        // Each of five colors would be a 20% share of the signal in an even flow
+        const share = colors.reduce((sum, color) => sum + getSignalShare(player.signals, color), 0) / colors.length;
+        return score + SIGNAL_WEIGHT * spread * (share - 0.2);
+      });
+    },
+  },
+  learned: {
+    name: 'Learned',
+    description: "Scores cards with the set's trained pick model, or plays Balanced without one",
+    pickCard: (pack, player, context) =>
+      pickBest(pack, (card) => (context.learnedScore || context.scoreCard)(card, player)),
+  },
+  random: {
+    name: 'Random',
+    description: 'Takes any card at random',
+    pickCard: (pack, player, context) => pickRandom(pack, context.rng),
+  },
+};
+
+export const BOT_STRATEGY_IDS = Object.keys(BOT_STRATEGIES);
+
+export const DEFAULT_BOT_STRATEGY = 'balanced';
+
+// Difficulty levels: `noise` is how far each card's score can be knocked up or down on a
+// pick, as a share of the spread of scores on offer, and `colorWeight` scales how much the
+// bot cares about staying in its colors
+export const BOT_DIFFICULTIES = {
+  novice: { name: 'Novice', noise: 0.6, colorWeight: 0.4 },
+  casual: { name: 'Casual', noise: 0.3, colorWeight: 0.7 },
+  skilled: { name: 'Skilled', noise: 0.1, colorWeight: 1 },
+  pro: { name: 'Pro', noise: 0, colorWeight: 1.3 },
+};
+
+export const BOT_DIFFICULTY_IDS = Object.keys(BOT_DIFFICULTIES);
+
+export const DEFAULT_BOT_DIFFICULTY = 'skilled';
+
+// Seats without a difficulty (such as the human's suggestions) score cards as they are
+export const getColorWeight = (player) => BOT_DIFFICULTIES[player.difficulty]?.colorWeight ?? 1;
+
+// The seat's card scorer with its pick noise added: each card on offer gets one random
+// offset for this pick, so a bot still mostly takes good cards but not always the best
+export const withPickNoise = (cards, player, scoreCard, rng = Math.random) => {
+  const noise = BOT_DIFFICULTIES[player.difficulty]?.noise || 0;
+  if (noise === 0 || cards.length < 2) return scoreCard;
+
+  const scores = cards.map((card) => scoreCard(card, player));
+  const spread = Math.max(...scores) - Math.min(...scores);
+  const offsets = new Map(cards.map((card) => [card.id, noise * spread * (rng() * 2 - 1)]));
+  return (card, scorer) => scoreCard(card, scorer) + (offsets.get(card.id) || 0);
+};
+
+// Pick with the seat's own strategy and difficulty; seats without a strategy (such as the
+// human's suggestions) use the default
+export const pickWithStrategy = (pack, player, context) => {
+  if (pack.length === 0) return null;
+  const strategy = BOT_STRATEGIES[player.strategy] || BOT_STRATEGIES[DEFAULT_BOT_STRATEGY];
+  const scoreCard = withPickNoise(pack, player, context.scoreCard, context.rng);
+  const learnedScore = context.learnedScore && withPickNoise(pack, player, context.learnedScore, context.rng);
+  return strategy.pickCard(pack, player, { ...context, scoreCard, learnedScore });
+};
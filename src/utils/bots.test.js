@@ -0,0 +1,136 @@
+import {
+  BOT_STRATEGIES,
+  BOT_STRATEGY_IDS,
+  BOT_DIFFICULTIES,
+  BOT_DIFFICULTY_IDS,
+  getColorWeight,
+  withPickNoise,
+  pickBest,
+  pickWithStrategy,
+} from './bots';
+import { createRng } from './random';
+
+describe('Bot Strategies', () => {
+  const card = (id, rarity, colors, power) => ({ id, name: id, rarity, colors, power });
+  const pack = [
+    card('white-common', 'common', ['W'], 10),
+    card('blue-rare', 'rare', ['U'], 6),
+    card('red-uncommon', 'uncommon', ['R'], 8),
+    card('artifact', 'common', [], 7),
+  ];
+
+  // Stand-in for the app's scorer: raw power plus 5 per matching color
+  const scoreCard = (c, player) => c.power + c.colors.filter((color) => player.colors.includes(color)).length * 5;
+  const context = { scoreCard, rng: createRng('bots') };
+  const bot = (strategy, extra = {}) => ({ id: 'AI_1', strategy, colors: ['R'], ...extra });
+
+  test('lists every built-in strategy with a name and description', () => {
+    expect(BOT_STRATEGY_IDS).toEqual(['balanced', 'forceColor', 'rareDrafter', 'rawPower', 'signalReader', 'learned', 'random']);
+    BOT_STRATEGY_IDS.forEach((id) => {
+      expect(BOT_STRATEGIES[id].name).toBeTruthy();
+      expect(BOT_STRATEGIES[id].description).toBeTruthy();
+    });
+  });
+
+  test('pickBest keeps the first of tied cards', () => {
+    expect(pickBest(pack, () => 1)).toBe(pack[0]);
+  });
+
+  test('balanced takes the highest shared score', () => {
+    expect(pickWithStrategy(pack, bot('balanced'), context).id).toBe('red-uncommon');
+  });
+
+  test('seats without a strategy use balanced', () => {
+    expect(pickWithStrategy(pack, { colors: ['R'] }, context).id).toBe('red-uncommon');
+  });
+
+  test('forceColor stays in its seated color even over stronger cards', () => {
+    const forcer = bot('forceColor', { colors: ['W'], forcedColor: 'U' });
+
+    expect(pickWithStrategy(pack, forcer, context).id).toBe('blue-rare');
+  });
+
+  test('rareDrafter takes the rarest card', () => {
+    expect(pickWithStrategy(pack, bot('rareDrafter'), context).id).toBe('blue-rare');
+  });
+
+  test('rawPower ignores its colors', () => {
+    expect(pickWithStrategy(pack, bot('rawPower'), context).id).toBe('white-common');
+  });
+
+  test('signalReader leans toward the colors it has seen flowing', () => {
+    const reader = bot('signalReader', { colors: [], signals: { U: 3, W: 1 } });
+
+    expect(pickWithStrategy(pack, reader, context).id).toBe('blue-rare');
+    expect(pickWithStrategy(pack, bot('signalReader', { colors: [], signals: {} }), context).id).toBe('white-common');
+  });
+
+  test('color leanings keep their direction when scores are zero or below', () => {
+    // Taken-at scores with a color penalty can land at zero or go negative
+    const belowZero = { ...context, scoreCard: (c, player) => scoreCard(c, player) - 15 };
+    const forcer = bot('forceColor', { colors: ['W'], forcedColor: 'U' });
+    const reader = bot('signalReader', { colors: [], signals: { U: 3, W: 1 } });
+
+    expect(pickWithStrategy(pack, forcer, belowZero).id).toBe('blue-rare');
+    expect(pickWithStrategy(pack, reader, belowZero).id).toBe('blue-rare');
+  });
+
+  test('learned scores with the trained model, or plays balanced without one', () => {
+    const learnedScore = (c) => (c.id === 'blue-rare' ? 100 : 0);
+
+    expect(pickWithStrategy(pack, bot('learned'), { ...context, learnedScore }).id).toBe('blue-rare');
+    expect(pickWithStrategy(pack, bot('learned'), context).id).toBe('red-uncommon');
+  });
+
+  test('random picks from the pack with the draft rng', () => {
+    const picks = Array.from({ length: 20 }, () => pickWithStrategy(pack, bot('random'), context).id);
+
+    picks.forEach((id) => expect(pack.map((c) => c.id)).toContain(id));
+    expect(new Set(picks).size).toBeGreaterThan(1);
+  });
+
+  test('returns null for an empty pack', () => {
+    expect(pickWithStrategy([], bot('balanced'), context)).toBeNull();
+  });
+
+  describe('Difficulty', () => {
+    const picksFor = (difficulty) => {
+      const seeded = { scoreCard, rng: createRng(`difficulty:${difficulty}`) };
+      return Array.from({ length: 50 }, () => pickWithStrategy(pack, bot('balanced', { difficulty }), seeded).id);
+    };
+
+    test('lists levels from novice to pro with less noise and more color discipline', () => {
+      expect(BOT_DIFFICULTY_IDS).toEqual(['novice', 'casual', 'skilled', 'pro']);
+      const levels = BOT_DIFFICULTY_IDS.map((id) => BOT_DIFFICULTIES[id]);
+      levels.slice(1).forEach((level, i) => {
+        expect(level.noise).toBeLessThan(levels[i].noise);
+        expect(level.colorWeight).toBeGreaterThan(levels[i].colorWeight);
+      });
+    });
+
+    test('pro bots always take the best card', () => {
+      expect(new Set(picksFor('pro'))).toEqual(new Set(['red-uncommon']));
+    });
+
+    test('novice bots mostly take good cards but not always the best', () => {
+      const picks = picksFor('novice');
+      const best = picks.filter((id) => id === 'red-uncommon').length;
+
+      expect(new Set(picks).size).toBeGreaterThan(1);
+      expect(best).toBeGreaterThan(picks.length / 4);
+      expect(best).toBeLessThan(picks.length);
+    });
+
+    test('seats without a difficulty score cards exactly', () => {
+      expect(withPickNoise(pack, { colors: ['R'] }, scoreCard)).toBe(scoreCard);
+      expect(getColorWeight({ colors: ['R'] })).toBe(1);
+      expect(getColorWeight({ colors: ['R'], difficulty: 'novice' })).toBe(BOT_DIFFICULTIES.novice.colorWeight);
+    });
+
+    test('noise is fixed for each card within one pick', () => {
+      const noisy = withPickNoise(pack, bot('balanced', { difficulty: 'novice' }), scoreCard, createRng('fixed'));
+
+      pack.forEach((c) => expect(noisy(c, bot('balanced'))).toBe(noisy(c, bot('balanced'))));
+    });
+  });
+});
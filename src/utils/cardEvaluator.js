@@ -0,0 +1,87 @@
+// src/utils/cardEvaluator.js
+// Fallback card grades for sets without 17lands ratings. Reads a card's rules text, keywords,
+// stats and rarity and estimates its games-in-hand win rate, so unrated cards score on the
+// same scale as rated ones. Removal and card advantage count most; vanilla bodies and
+// expensive cards count least.
+import { getOracleText } from './cardFilter';
+import { isRemoval } from './deckNeeds';
+
+// A typical playable in 17lands data, and the range estimates stay within
+export const BASE_WIN_RATE = 53;
+export const WIN_RATE_RANGE = [45, 65];
+
+const RARITY_BONUS = { mythic: 2, rare: 1.5, uncommon: 0.5, common: 0 };
+const EVASION_KEYWORDS = ['Flying', 'Menace', 'Trample'];
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+const isCreature = (card) => (card.type_line || '').includes('Creature');
+
+// Each heuristic adds win-rate points when a card matches it
+export const HEURISTICS = [
+  {
+    id: 'removal',
+    reason: 'removal',
+    points: 3.5,
+    test: (card) => isRemoval(card),
+  },
+  {
+    id: 'cardAdvantage',
+    reason: 'card advantage',
+    points: 1.5,
+    test: (card, text) => /\bdraws? (a card|two cards|three cards|cards equal)|create (a|two) [^.]*treasure|return target [^.]*card from your graveyard to your hand/.test(text),
+  },
+  {
+    id: 'evasion',
+    reason: 'evasion',
+    points: 1,
+    test: (card, text) =>
+      isCreature(card) &&
+      (EVASION_KEYWORDS.some((keyword) => (card.keywords || []).includes(keyword)) || /can't be blocked/.test(text)),
+  },
+  {
+    id: 'combatTrick',
+    reason: 'combat trick',
+    points: 0.5,
+    test: (card, text) => /\bInstant\b/.test(card.type_line || '') && /target creature (you control )?gets \+\d+\/\+\d+/.test(text),
+  },
+  {
+    id: 'fixing',
+    reason: 'mana fixing',
+    points: 0.5,
+    test: (card, text) =>
+      /add one mana of any color|search your library for (a|up to \w+) basic land/.test(text) ||
+      ((card.type_line || '').includes('Land') && !(card.type_line || '').includes('Basic') && /add \{\w\} or \{\w\}/.test(text)),
+  },
+];
+
+// Body size against mana value: a creature with power + toughness of 2 x MV + 1 is on rate
+const bodyPoints = (card) => {
+  if (!isCreature(card)) return 0;
+  const power = parseInt(card.power, 10) || 0;
+  const toughness = parseInt(card.toughness, 10) || 0;
+  return clamp((power + toughness - (2 * (card.cmc || 0) + 1)) * 0.5, [-2, 2]);
+};
+
+// Estimated GIH win rate, with the reasons that moved it
+export const evaluateCard = (card) => {
+  const typeLine = card.type_line || '';
+  if (typeLine.includes('Basic Land')) {
+    return { winRate: WIN_RATE_RANGE[0], reasons: [] };
+  }
+
+  const text = getOracleText(card);
+  const matched = HEURISTICS.filter((heuristic) => heuristic.test(card, text));
+  let winRate = BASE_WIN_RATE + (RARITY_BONUS[card.rarity] || 0) + bodyPoints(card);
+  matched.forEach((heuristic) => {
+    winRate += heuristic.points;
+  });
+
+  // Vanilla creatures and six-drops and up rarely make the cut
+  if (isCreature(card) && text === '' && (card.keywords || []).length === 0) winRate -= 1;
+  if ((card.cmc || 0) >= 6) winRate -= 1;
+
+  return {
+    winRate: Math.round(clamp(winRate, WIN_RATE_RANGE) * 10) / 10,
+    reasons: matched.map((heuristic) => heuristic.reason),
+  };
+};
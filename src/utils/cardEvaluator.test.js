@@ -0,0 +1,69 @@
+import { evaluateCard, BASE_WIN_RATE, WIN_RATE_RANGE } from './cardEvaluator';
+import { getEquivalentAta, getTakenAtScore, getWinRateScore } from './ratings';
+
+describe('Card Evaluator', () => {
+  const creature = (cmc, power, toughness, fields = {}) => ({
+    name: 'Creature', type_line: 'Creature — Beast', cmc, power: String(power), toughness: String(toughness),
+    rarity: 'common', oracle_text: '', keywords: [], ...fields,
+  });
+  const spell = (cmc, oracleText, fields = {}) => ({
+    name: 'Spell', type_line: 'Instant', cmc, rarity: 'common', oracle_text: oracleText, keywords: [], ...fields,
+  });
+
+  test('grades premium removal above a vanilla 5/5', () => {
+    const removal = evaluateCard(spell(2, 'Destroy target creature.'));
+    const vanilla = evaluateCard(creature(5, 5, 5));
+
+    expect(removal.winRate).toBeGreaterThan(vanilla.winRate + 3);
+    expect(removal.reasons).toEqual(['removal']);
+  });
+
+  test('rewards card advantage, evasion and efficient bodies', () => {
+    const plain = evaluateCard(creature(3, 2, 2, { oracle_text: 'Vigilance', keywords: ['Vigilance'] })).winRate;
+
+    expect(evaluateCard(creature(3, 2, 2, { oracle_text: 'When this enters, draw a card.' })).reasons).toEqual(['card advantage']);
+    expect(evaluateCard(creature(3, 2, 2, { oracle_text: 'Flying', keywords: ['Flying'] })).winRate).toBeGreaterThan(plain);
+    expect(evaluateCard(creature(3, 4, 4, { oracle_text: 'Vigilance', keywords: ['Vigilance'] })).winRate).toBeGreaterThan(plain);
+  });
+
+  test('spots combat tricks and mana fixing', () => {
+    expect(evaluateCard(spell(1, 'Target creature gets +2/+2 until end of turn.')).reasons).toEqual(['combat trick']);
+    expect(evaluateCard({ name: 'Dual', type_line: 'Land', rarity: 'common', oracle_text: '{T}: Add {W} or {U}.' }).reasons).toEqual(['mana fixing']);
+    expect(evaluateCard(spell(2, 'Search your library for a basic land card and put it into your hand.', { type_line: 'Sorcery' })).reasons).toEqual(['mana fixing']);
+  });
+
+  test('rarity, vanilla bodies and high mana values shift the grade', () => {
+    const common = evaluateCard(creature(3, 3, 3, { oracle_text: 'Trample', keywords: ['Trample'] })).winRate;
+
+    expect(evaluateCard(creature(3, 3, 3, { oracle_text: 'Trample', keywords: ['Trample'], rarity: 'rare' })).winRate).toBe(common + 1.5);
+    expect(evaluateCard(creature(3, 3, 3)).winRate).toBeLessThan(common);
+    expect(evaluateCard(creature(6, 6, 7)).winRate).toBeLessThan(BASE_WIN_RATE);
+  });
+
+  test('keeps grades within the win-rate range and puts basics at the bottom', () => {
+    const bomb = spell(3, 'Destroy target creature. Draw two cards.', { rarity: 'mythic' });
+
+    expect(evaluateCard(bomb).winRate).toBeLessThanOrEqual(WIN_RATE_RANGE[1]);
+    expect(evaluateCard({ name: 'Forest', type_line: 'Basic Land — Forest', oracle_text: '({T}: Add {G}.)' }).winRate).toBe(WIN_RATE_RANGE[0]);
+  });
+
+  test('estimates score on the scale of the active scoring mode', () => {
+    const ratings = {
+      Bomb: { gihwr: 61, ohwr: 59, gdwr: 62, ata: 1.2 },
+      Hexcatcher: { gihwr: 48.7, gdwr: 51.1, ata: 7.5 },
+      Chaff: { gihwr: 46, ohwr: 45, gdwr: 47, ata: 12 },
+    };
+    const forest = evaluateCard({ name: 'Forest', type_line: 'Basic Land — Forest', oracle_text: '({T}: Add {G}.)' });
+    const bomb = evaluateCard(spell(3, 'Destroy target creature. Draw two cards.', { rarity: 'mythic' }));
+    const takenAt = (estimate) => getTakenAtScore(getEquivalentAta(estimate.winRate, ratings));
+
+    // Taken at: no estimate outscores the rated card drafters take first, and basics rank last
+    Object.values(ratings).forEach((rated) => {
+      expect(takenAt(forest)).toBeLessThanOrEqual(getTakenAtScore(rated.ata));
+    });
+    expect(takenAt(bomb)).toBeLessThanOrEqual(getTakenAtScore(ratings.Bomb.ata));
+
+    // Win rate: a basic stays below a rated row with blank win-rate columns
+    expect(getWinRateScore({ gihwr: forest.winRate })).toBeLessThan(getWinRateScore(ratings.Hexcatcher));
+  });
+});
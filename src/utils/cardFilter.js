@@ -0,0 +1,150 @@
+// src/utils/cardFilter.js
+// A small subset of Scryfall search syntax, used by collation profiles to describe special slots.
+// Supported: t: r: c: id: mv/cmc o: kw: is: name:, bare words (name), quoted values,
+// comparison operators (: = != < <= > >=), leading `-` to negate and top-level `or`.
+
+const RARITY_RANK = { common: 0, uncommon: 1, rare: 2, mythic: 3, special: 4, bonus: 4 };
+const RARITY_ALIASES = { c: 'common', u: 'uncommon', r: 'rare', m: 'mythic', s: 'special', b: 'bonus' };
+const COLOR_NAMES = { white: 'W', blue: 'U', black: 'B', red: 'R', green: 'G' };
+const DFC_LAYOUTS = ['transform', 'modal_dfc', 'meld', 'reversible_card'];
+
+const TERM_PATTERN = /^(-?)([a-z]+)(>=|<=|!=|:|=|>|<)(.+)$/;
+
+// Split a query on whitespace, keeping quoted values together
+const tokenize = (query) => {
+  const tokens = [];
+  const pattern = /-?[a-z]*(?:>=|<=|!=|:|=|>|<)?"[^"]*"|\S+/gi;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    tokens.push(match[0].replace(/"/g, ''));
+  }
+  return tokens;
+};
+
+const compare = (actual, operator, expected) => {
+  switch (operator) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '!=': return actual !== expected;
+    default: return actual === expected;
+  }
+};
+
+export const getOracleText = (card) =>
+  [card.oracle_text, ...(card.card_faces || []).map((face) => face.oracle_text)]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase();
+
+// Parse a color value like `wu`, `blue`, `m` (multicolor) or `c` (colorless) into letters
+const parseColors = (value) => {
+  if (COLOR_NAMES[value]) return [COLOR_NAMES[value]];
+  return value.toUpperCase().split('').filter((c) => 'WUBRG'.includes(c));
+};
+
+// Compare a card's colors to the query colors; `:` means "at least these colors" like Scryfall
+const matchColors = (cardColors, operator, value) => {
+  if (value === 'm' || value === 'multicolor') return cardColors.length > 1;
+  if (value === 'c' || value === 'colorless') return cardColors.length === 0;
+
+  const colors = parseColors(value);
+  const hasAll = colors.every((c) => cardColors.includes(c));
+  const withinQuery = cardColors.every((c) => colors.includes(c));
+
+  switch (operator) {
+    case '=': return hasAll && withinQuery;
+    case '!=': return !(hasAll && withinQuery);
+    case '<=': return withinQuery;
+    case '<': return withinQuery && cardColors.length < colors.length;
+    case '>': return hasAll && cardColors.length > colors.length;
+    default: return hasAll;
+  }
+};
+
+const matchIs = (card, value) => {
+  switch (value) {
+    case 'dfc': return DFC_LAYOUTS.includes(card.layout);
+    case 'mdfc': return card.layout === 'modal_dfc';
+    case 'split': return card.layout === 'split';
+    case 'historic': return /legendary|artifact|saga/i.test(card.type_line || '');
+    case 'permanent': return !/instant|sorcery/i.test(card.type_line || '');
+    case 'spell': return !/\bland\b/i.test(card.type_line || '');
+    case 'foil': return Boolean(card.foil);
+    default: return false;
+  }
+};
+
+// Build a predicate for one `key:value` term
+const buildTermMatcher = (token) => {
+  const match = token.toLowerCase().match(TERM_PATTERN);
+  if (!match) {
+    const word = token.toLowerCase();
+    if (word.startsWith('-')) return (card) => !(card.name || '').toLowerCase().includes(word.slice(1));
+    return (card) => (card.name || '').toLowerCase().includes(word);
+  }
+
+  const [, negate, key, operator, value] = match;
+  let matcher;
+
+  switch (key) {
+    case 't':
+    case 'type':
+      matcher = (card) => (card.type_line || '').toLowerCase().includes(value);
+      break;
+    case 'r':
+    case 'rarity': {
+      const rarity = RARITY_ALIASES[value] || value;
+      matcher = (card) => compare(RARITY_RANK[card.rarity], operator, RARITY_RANK[rarity]);
+      break;
+    }
+    case 'c':
+    case 'color':
+      matcher = (card) => matchColors(card.colors || [], operator, value);
+      break;
+    case 'id':
+    case 'identity':
+      // Scryfall treats `id:` as "fits in a deck of these colors"
+      matcher = (card) => matchColors(card.color_identity || [], operator === ':' ? '<=' : operator, value);
+      break;
+    case 'mv':
+    case 'cmc':
+      matcher = (card) => compare(card.cmc || 0, operator, parseFloat(value));
+      break;
+    case 'o':
+    case 'oracle':
+      matcher = (card) => getOracleText(card).includes(value);
+      break;
+    case 'kw':
+    case 'keyword':
+      matcher = (card) => (card.keywords || []).some((k) => k.toLowerCase() === value);
+      break;
+    case 'is':
+      matcher = (card) => matchIs(card, value);
+      break;
+    case 'name':
+      matcher = (card) => (card.name || '').toLowerCase().includes(value);
+      break;
+    default:
+      throw new Error(`Unsupported filter key "${key}" in "${token}".`);
+  }
+
+  return negate ? (card) => !matcher(card) : matcher;
+};
+
+// Parse a query into a predicate; terms are ANDed and `or` separates alternatives
+export const parseCardFilter = (query) => {
+  const alternatives = [[]];
+  tokenize(query || '').forEach((token) => {
+    if (token.toLowerCase() === 'or') {
+      alternatives.push([]);
+    } else {
+      alternatives[alternatives.length - 1].push(buildTermMatcher(token));
+    }
+  });
+
+  return (card) => alternatives.some((terms) => terms.every((matcher) => matcher(card)));
+};
+
+export const matchesCardFilter = (card, query) => parseCardFilter(query)(card);
@@ -0,0 +1,121 @@
+import { parseCardFilter, matchesCardFilter } from './cardFilter';
+
+describe('Card Filter', () => {
+  const legend = {
+    name: 'Jaya, Fiery Negotiator',
+    type_line: 'Legendary Creature — Human Monk',
+    rarity: 'uncommon',
+    colors: ['R'],
+    color_identity: ['R'],
+    cmc: 3,
+    oracle_text: 'Prowess\nWhenever Jaya attacks, create a 1/1 token.',
+    keywords: ['Prowess'],
+    layout: 'normal',
+  };
+
+  const goldRare = {
+    name: 'Sterling Grove Guide',
+    type_line: 'Creature — Elf',
+    rarity: 'rare',
+    colors: ['G', 'W'],
+    color_identity: ['G', 'W'],
+    cmc: 5,
+    oracle_text: 'Kicker {2}',
+    keywords: ['Kicker'],
+    layout: 'normal',
+  };
+
+  const dfc = {
+    name: 'Delver of Secrets // Insectile Aberration',
+    type_line: 'Creature — Human Wizard // Creature — Human Insect',
+    rarity: 'common',
+    colors: ['U'],
+    color_identity: ['U'],
+    cmc: 1,
+    layout: 'transform',
+    card_faces: [
+      { oracle_text: 'At the beginning of your upkeep, look at the top card of your library.' },
+      { oracle_text: 'Flying' },
+    ],
+  };
+
+  describe('type and rarity', () => {
+    test('matches every type term', () => {
+      expect(matchesCardFilter(legend, 't:legendary t:creature')).toBe(true);
+      expect(matchesCardFilter(goldRare, 't:legendary t:creature')).toBe(false);
+    });
+
+    test('compares rarity by rank', () => {
+      expect(matchesCardFilter(goldRare, 'r>=rare')).toBe(true);
+      expect(matchesCardFilter(legend, 'r>=rare')).toBe(false);
+      expect(matchesCardFilter(legend, 'r:u')).toBe(true);
+    });
+  });
+
+  describe('colors', () => {
+    test('c: means the card has at least those colors', () => {
+      expect(matchesCardFilter(goldRare, 'c:g')).toBe(true);
+      expect(matchesCardFilter(goldRare, 'c=g')).toBe(false);
+      expect(matchesCardFilter(goldRare, 'c=gw')).toBe(true);
+    });
+
+    test('supports multicolor and colorless', () => {
+      expect(matchesCardFilter(goldRare, 'c:m')).toBe(true);
+      expect(matchesCardFilter(legend, 'c:m')).toBe(false);
+      expect(matchesCardFilter({ ...legend, colors: [] }, 'c:c')).toBe(true);
+    });
+
+    test('id: means the card fits in a deck of those colors', () => {
+      expect(matchesCardFilter(legend, 'id:rw')).toBe(true);
+      expect(matchesCardFilter(goldRare, 'id:g')).toBe(false);
+    });
+  });
+
+  describe('text, keywords and layout', () => {
+    test('searches oracle text on both faces with quoted phrases', () => {
+      expect(matchesCardFilter(legend, 'o:"create a 1/1"')).toBe(true);
+      expect(matchesCardFilter(dfc, 'o:flying')).toBe(true);
+    });
+
+    test('matches keywords case-insensitively', () => {
+      expect(matchesCardFilter(goldRare, 'kw:kicker')).toBe(true);
+      expect(matchesCardFilter(legend, 'kw:kicker')).toBe(false);
+    });
+
+    test('is:dfc matches double-faced layouts', () => {
+      expect(matchesCardFilter(dfc, 'is:dfc')).toBe(true);
+      expect(matchesCardFilter(legend, 'is:dfc')).toBe(false);
+    });
+
+    test('compares mana value', () => {
+      expect(matchesCardFilter(legend, 'mv<=3')).toBe(true);
+      expect(matchesCardFilter(goldRare, 'cmc<5')).toBe(false);
+    });
+
+    test('bare words match the card name', () => {
+      expect(matchesCardFilter(legend, 'jaya')).toBe(true);
+      expect(matchesCardFilter(legend, '-jaya')).toBe(false);
+    });
+  });
+
+  describe('combining terms', () => {
+    test('negates a term with a leading dash', () => {
+      expect(matchesCardFilter(goldRare, 't:creature -t:legendary')).toBe(true);
+      expect(matchesCardFilter(legend, 't:creature -t:legendary')).toBe(false);
+    });
+
+    test('or separates alternatives', () => {
+      const predicate = parseCardFilter('t:legendary or is:dfc');
+
+      expect([legend, goldRare, dfc].filter(predicate)).toEqual([legend, dfc]);
+    });
+
+    test('an empty filter matches everything', () => {
+      expect(matchesCardFilter(goldRare, '')).toBe(true);
+    });
+
+    test('throws on unsupported keys', () => {
+      expect(() => parseCardFilter('frame:1997')).toThrow('Unsupported filter key "frame" in "frame:1997".');
+    });
+  });
+});
@@ -0,0 +1,288 @@
+// src/utils/collation.js
+// Booster collation: builds packs slot by slot from the Scryfall `rarity` field
+import { parseCardFilter } from './cardFilter';
+import { pickRandom, randomInt, shuffle } from './random';
+
+const isBasicLand = (card) => card.type_line?.includes('Basic Land');
+
+// Cards Scryfall marks as not found in boosters (e.g. bundle promos) never go in packs
+const isBoosterCard = (card) => card.booster !== false;
+
+// Murders at Karlov Manor was the first set sold in Play Boosters
+export const PLAY_BOOSTER_START = '2024-02-09';
+
+// Built-in collation profiles. Each slot draws `count` cards from one of its
+// weighted sheets; `rareOrMythic` applies the set's own mythic rate. A slot's
+// optional `filter` (Scryfall syntax, e.g. "t:legendary t:creature") narrows every sheet.
+// Slot odds are rounded from the published collation notes for each product.
+export const BOOSTER_PROFILES = {
+  draft: {
+    booster: 'draft',
+    slots: [
+      { name: 'rare', count: 1, sheets: { rareOrMythic: 1 } },
+      { name: 'uncommon', count: 3, sheets: { uncommon: 1 } },
+      { name: 'common', count: 10, sheets: { common: 1 } },
+      { name: 'land', count: 1, sheets: { basicLand: 1 } },
+    ],
+  },
+  play: {
+    booster: 'play',
+    slots: [
+      { name: 'rare', count: 1, sheets: { rareOrMythic: 1 } },
+      { name: 'uncommon', count: 3, sheets: { uncommon: 1 } },
+      { name: 'common', count: 6, sheets: { common: 1 } },
+      { name: 'list', count: 1, sheets: { common: 7, list: 1 } },
+      { name: 'wildcard', count: 1, sheets: { common: 17, uncommon: 58, rareOrMythic: 25 } },
+      { name: 'foil', count: 1, foil: true, sheets: { common: 67, uncommon: 27, rareOrMythic: 6 } },
+      { name: 'land', count: 1, sheets: { basicLand: 1, commonLand: 1 } },
+    ],
+  },
+  set: {
+    booster: 'set',
+    slots: [
+      { name: 'rare', count: 1, sheets: { rareOrMythic: 1 } },
+      { name: 'uncommon', count: 3, sheets: { uncommon: 1 } },
+      { name: 'common', count: 3, sheets: { common: 1 } },
+      { name: 'list', count: 1, sheets: { common: 3, list: 1 } },
+      { name: 'wildcard', count: 2, sheets: { common: 20, uncommon: 55, rareOrMythic: 25 } },
+      { name: 'foil', count: 1, foil: true, sheets: { common: 67, uncommon: 27, rareOrMythic: 6 } },
+      { name: 'land', count: 1, sheets: { basicLand: 1, commonLand: 1 } },
+    ],
+  },
+};
+
+// How the plain common slots are filled: independent random picks, a consecutive
+// run off a color-striped print sheet, or random picks with one common per color
+export const COMMON_COLLATION_MODES = ['random', 'printSheet', 'balanced'];
+
+// Sets without a collation.json open Play Boosters from MKM onwards, Draft Boosters before
+export const getDefaultBoosterType = (releasedAt) =>
+  releasedAt && releasedAt >= PLAY_BOOSTER_START ? 'play' : 'draft';
+
+// Turn a set's collation.json (or null when the set has none) into a full profile.
+// The file may name a built-in booster, replace its slots, and list extra pools
+// (Scryfall queries for The List or special guests) that slots can draw from.
+export const resolveCollationProfile = (profileJson, releasedAt) => {
+  const json = profileJson || {};
+  const booster = json.booster || getDefaultBoosterType(releasedAt);
+  const base = BOOSTER_PROFILES[booster];
+
+  if (!base && !json.slots) {
+    throw new Error(`Unknown booster type "${booster}" in collation profile.`);
+  }
+
+  const commonCollation = json.commonCollation || 'random';
+  if (!COMMON_COLLATION_MODES.includes(commonCollation)) {
+    throw new Error(`Unknown common collation "${commonCollation}" in collation profile.`);
+  }
+
+  return {
+    booster,
+    slots: json.slots || base.slots,
+    pools: json.pools || {},
+    commonCollation,
+  };
+};
+
+// Pick a random card from `pool`, skipping anything already in `exclude`
+const sampleOne = (pool, exclude, rng) =>
+  pickRandom(pool.filter((card) => !exclude.has(card.id)), rng);
+
+// Split the set into the sheets a booster is printed from
+export const buildRarityPools = (cards) => {
+  const boosterCards = cards.filter(isBoosterCard);
+  const nonBasics = boosterCards.filter((card) => !isBasicLand(card));
+
+  return {
+    common: nonBasics.filter((card) => card.rarity === 'common'),
+    uncommon: nonBasics.filter((card) => card.rarity === 'uncommon'),
+    rare: nonBasics.filter((card) => card.rarity === 'rare'),
+    mythic: nonBasics.filter((card) => card.rarity === 'mythic'),
+    basicLand: boosterCards.filter(isBasicLand),
+    commonLand: nonBasics.filter((card) => card.rarity === 'common' && card.type_line?.includes('Land')),
+    nonBasics,
+  };
+};
+
+// Rare sheets print each rare twice and each mythic once, so a set with
+// 60 rares and 20 mythics opens a mythic in 20 / (2 * 60 + 20) = 1 in 7 packs
+export const getMythicRate = (pools) => {
+  const rares = pools.rare.length;
+  const mythics = pools.mythic.length;
+  if (mythics === 0) return 0;
+  if (rares === 0) return 1;
+  return mythics / (2 * rares + mythics);
+};
+
+// Narrow every sheet to the cards a special slot's filter accepts
+const filterPools = (pools, predicate) =>
+  Object.fromEntries(Object.entries(pools).map(([sheet, cards]) => [sheet, cards.filter(predicate)]));
+
+// Choose one sheet from a slot's weights, ignoring sheets with nothing left to open
+const pickSheet = (sheets, pools, excludedIds, rng) => {
+  const candidates = Object.entries(sheets).filter(([sheet, weight]) => {
+    if (weight <= 0) return false;
+    if (sheet === 'rareOrMythic') return [...pools.rare, ...pools.mythic].some((c) => !excludedIds.has(c.id));
+    return (pools[sheet] || []).some((c) => !excludedIds.has(c.id));
+  });
+  if (candidates.length === 0) return null;
+
+  const totalWeight = candidates.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = rng() * totalWeight;
+  for (const [sheet, weight] of candidates) {
+    roll -= weight;
+    if (roll < 0) return sheet;
+  }
+  return candidates[candidates.length - 1][0];
+};
+
+const COLORS = ['W', 'U', 'B', 'R', 'G'];
+
+const getCardColors = (card) => card.colors || card.card_faces?.[0]?.colors || [];
+
+// Lay commons out like a print sheet: mono-color commons striped W, U, B, R, G
+// (shorter colors wrap around, as real sheets print some commons twice), with
+// multicolor and colorless commons spaced evenly through the stripes. Any run
+// of ten consecutive cards then holds about two commons of each color.
+export const buildPrintSheet = (commons) => {
+  const groups = COLORS
+    .map((color) => commons.filter((card) => {
+      const colors = getCardColors(card);
+      return colors.length === 1 && colors[0] === color;
+    }))
+    .filter((group) => group.length > 0);
+  const others = commons.filter((card) => getCardColors(card).length !== 1);
+
+  const rows = Math.max(0, ...groups.map((group) => group.length));
+  const sheet = [];
+  for (let row = 0; row < rows; row++) {
+    groups.forEach((group) => sheet.push(group[row % group.length]));
+  }
+
+  if (others.length > 0) {
+    const spacing = Math.max(1, Math.floor(sheet.length / others.length));
+    others.forEach((card, i) => sheet.splice(Math.min(sheet.length, i * (spacing + 1)), 0, card));
+  }
+
+  return sheet;
+};
+
+// Returns a function that draws `count` commons for the plain common slots of one pack
+const createCommonDrawer = (mode, commons, excludedIds, rng) => {
+  if (mode === 'printSheet') {
+    const sheet = buildPrintSheet(commons);
+    let cursor = randomInt(sheet.length, rng);
+
+    // Walk the sheet from a random start, skipping cards the pack already holds
+    return (count) => {
+      const run = [];
+      for (let steps = 0; run.length < count && steps < sheet.length; steps++) {
+        const card = sheet[cursor];
+        cursor = (cursor + 1) % sheet.length;
+        if (!excludedIds.has(card.id) && !run.includes(card)) run.push(card);
+      }
+      return run;
+    };
+  }
+
+  if (mode === 'balanced') {
+    return (count) => {
+      const picked = [];
+      const taken = new Set(excludedIds);
+      const colors = shuffle(COLORS, rng).slice(0, count);
+
+      // One common of each color first, then the rest at random
+      colors.forEach((color) => {
+        const card = sampleOne(commons.filter((c) => getCardColors(c).includes(color)), taken, rng);
+        if (card) {
+          picked.push(card);
+          taken.add(card.id);
+        }
+      });
+      while (picked.length < count) {
+        const card = sampleOne(commons, taken, rng);
+        if (!card) break;
+        picked.push(card);
+        taken.add(card.id);
+      }
+      return picked;
+    };
+  }
+
+  return null;
+};
+
+// Only slots that draw nothing but commons are collated by the common mode
+const isPlainCommonSlot = (slot) =>
+  !slot.filter && !slot.foil && Object.keys(slot.sheets).every((sheet) => sheet === 'common');
+
+const rarityOrder = { mythic: 1, rare: 2, uncommon: 3, common: 4, land: 5 };
+
+// Sort pack so rares lead and the land slot is always last
+export const sortPackByRarity = (pack) =>
+  [...pack].sort((a, b) => {
+    const aRarity = isBasicLand(a) ? 'land' : a.rarity;
+    const bRarity = isBasicLand(b) ? 'land' : b.rarity;
+    return (rarityOrder[aRarity] || 4) - (rarityOrder[bRarity] || 4);
+  });
+
+// Give repeat copies of a card their own ids (`<id>-copy2`, as cube lists do), so a pool
+// opened from several boosters can tell its copies apart
+export const withCopyIds = (cards) => {
+  const seen = {};
+  return cards.map((card) => {
+    seen[card.id] = (seen[card.id] || 0) + 1;
+    return seen[card.id] === 1 ? card : { ...card, id: `${card.id}-copy${seen[card.id]}` };
+  });
+};
+
+// Open one booster. Defaults to a Draft Booster: 1 rare-or-mythic, 3 uncommons,
+// 10 commons and 1 basic land. `extraPools` holds cards for named profile pools,
+// and `rng` is the draft's seeded generator (see utils/random).
+export const generatePack = (cards, profile = BOOSTER_PROFILES.draft, extraPools = {}, rng = Math.random) => {
+  const pools = { ...buildRarityPools(cards), ...extraPools };
+
+  if (pools.basicLand.length === 0) {
+    throw new Error('No Basic Lands available in the card pool.');
+  }
+
+  const pack = [];
+  const excludedIds = new Set();
+  const drawCommons = createCommonDrawer(profile.commonCollation, pools.common, excludedIds, rng);
+
+  const openCard = (slotPools, sheets) => {
+    const sheet = pickSheet(sheets, slotPools, excludedIds, rng);
+    if (!sheet) return null;
+    if (sheet === 'rareOrMythic') {
+      const mythicCard = slotPools.mythic.length > 0 && rng() < getMythicRate(slotPools)
+        ? sampleOne(slotPools.mythic, excludedIds, rng)
+        : null;
+      return mythicCard || sampleOne(slotPools.rare, excludedIds, rng) || sampleOne(slotPools.mythic, excludedIds, rng);
+    }
+    return sampleOne(slotPools[sheet] || [], excludedIds, rng);
+  };
+
+  const addCard = (card, foil = false) => {
+    excludedIds.add(card.id);
+    pack.push(foil ? { ...card, foil: true } : card);
+  };
+
+  profile.slots.forEach((slot) => {
+    // Plain common slots follow the profile's common collation mode when it has one
+    const collated = drawCommons && isPlainCommonSlot(slot) ? drawCommons(slot.count) : [];
+    collated.forEach((card) => addCard(card));
+
+    const slotPools = slot.filter ? filterPools(pools, parseCardFilter(slot.filter)) : pools;
+
+    for (let i = collated.length; i < slot.count; i++) {
+      // A special slot with nothing left that matches opens from its plain sheets,
+      // and small or unusual sets can run a sheet dry; top up from the rest of the set
+      const card = openCard(slotPools, slot.sheets)
+        || (slot.filter && openCard(pools, slot.sheets))
+        || sampleOne(pools.nonBasics, excludedIds, rng);
+      if (card) addCard(card, slot.foil);
+    }
+  });
+
+  return sortPackByRarity(pack);
+};
@@ -0,0 +1,343 @@
+import {
+  generatePack,
+  buildRarityPools,
+  getMythicRate,
+  sortPackByRarity,
+  resolveCollationProfile,
+  getDefaultBoosterType,
+  buildPrintSheet,
+  withCopyIds,
+  BOOSTER_PROFILES,
+} from './collation';
+import { createRng } from './random';
+
+describe('Booster Collation', () => {
+  const makeCards = (rarity, count, typeLine = 'Creature') =>
+    Array.from({ length: count }, (_, i) => ({
+      id: `${rarity}-${i}`,
+      name: `${rarity} card ${i}`,
+      rarity,
+      type_line: typeLine,
+    }));
+
+  const basics = ['Plains', 'Island', 'Swamp', 'Mountain', 'Forest'].map((name, i) => ({
+    id: `basic-${i}`,
+    name,
+    rarity: 'common',
+    type_line: `Basic Land — ${name}`,
+  }));
+
+  const setCards = [
+    ...makeCards('common', 101),
+    ...makeCards('uncommon', 80),
+    ...makeCards('rare', 60),
+    ...makeCards('mythic', 20),
+    ...basics,
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('generatePack', () => {
+    test('generates a 15-card pack', () => {
+      expect(generatePack(setCards)).toHaveLength(15);
+    });
+
+    test('fills 1 rare/mythic, 3 uncommon, 10 common and 1 land slot', () => {
+      const pack = generatePack(setCards);
+
+      const rareOrMythic = pack.filter((c) => c.rarity === 'rare' || c.rarity === 'mythic');
+      const uncommons = pack.filter((c) => c.rarity === 'uncommon');
+      const commons = pack.filter((c) => c.rarity === 'common' && !c.type_line.includes('Basic Land'));
+      const lands = pack.filter((c) => c.type_line.includes('Basic Land'));
+
+      expect(rareOrMythic).toHaveLength(1);
+      expect(uncommons).toHaveLength(3);
+      expect(commons).toHaveLength(10);
+      expect(lands).toHaveLength(1);
+    });
+
+    test('never repeats a card within a pack', () => {
+      const pack = generatePack(setCards);
+      expect(new Set(pack.map((c) => c.id)).size).toBe(pack.length);
+    });
+
+    test('sorts by rarity with the land last', () => {
+      const pack = generatePack(setCards);
+      expect(pack[0].rarity).toMatch(/rare|mythic/);
+      expect(pack[pack.length - 1].type_line).toContain('Basic Land');
+    });
+
+    test('opens a mythic when the roll lands under the mythic rate', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      const pack = generatePack(setCards);
+      expect(pack[0].rarity).toBe('mythic');
+    });
+
+    test('opens a rare when the roll is above the mythic rate', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      const pack = generatePack(setCards);
+      expect(pack[0].rarity).toBe('rare');
+    });
+
+    test('skips cards Scryfall marks as not in boosters', () => {
+      const promo = { id: 'promo', name: 'Bundle Promo', rarity: 'mythic', type_line: 'Creature', booster: false };
+      const cards = [...makeCards('common', 10), ...makeCards('uncommon', 3), promo, ...basics];
+
+      for (let i = 0; i < 20; i++) {
+        expect(generatePack(cards).map((c) => c.id)).not.toContain('promo');
+      }
+    });
+
+    test('tops up from the rest of the set when a sheet runs dry', () => {
+      const cards = [...makeCards('common', 20), ...makeCards('uncommon', 1), ...basics];
+      const pack = generatePack(cards);
+
+      expect(pack).toHaveLength(15);
+      expect(new Set(pack.map((c) => c.id)).size).toBe(15);
+    });
+
+    test('opens the same pack for the same seed', () => {
+      const first = generatePack(setCards, BOOSTER_PROFILES.play, {}, createRng('shared-pod'));
+      const second = generatePack(setCards, BOOSTER_PROFILES.play, {}, createRng('shared-pod'));
+
+      expect(first.map((c) => c.id)).toEqual(second.map((c) => c.id));
+    });
+
+    test('throws when the pool has no basic lands', () => {
+      expect(() => generatePack(makeCards('common', 30))).toThrow('No Basic Lands available in the card pool.');
+    });
+  });
+
+  describe('Play and Set Boosters', () => {
+    const commonLands = makeCards('commonLand', 5, 'Land').map((card) => ({ ...card, rarity: 'common' }));
+    const listCards = makeCards('list', 10).map((card) => ({ ...card, rarity: 'rare' }));
+
+    test('Play Boosters open 14 cards with one foil', () => {
+      const pack = generatePack([...setCards, ...commonLands], BOOSTER_PROFILES.play);
+
+      expect(pack).toHaveLength(14);
+      expect(pack.filter((c) => c.foil)).toHaveLength(1);
+    });
+
+    test('Play Booster land slot can hold a common dual', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.99);
+      const pack = generatePack([...setCards, ...commonLands], BOOSTER_PROFILES.play);
+
+      expect(pack.some((c) => c.id.startsWith('commonLand'))).toBe(true);
+    });
+
+    test('Set Boosters open 12 cards', () => {
+      expect(generatePack(setCards, BOOSTER_PROFILES.set)).toHaveLength(12);
+    });
+
+    test('draws from an extra pool when the profile names one', () => {
+      const profile = { booster: 'custom', slots: [{ name: 'list', count: 1, sheets: { list: 1 } }, { name: 'land', count: 1, sheets: { basicLand: 1 } }] };
+      const pack = generatePack(setCards, profile, { list: listCards });
+
+      expect(pack[0].id).toMatch(/^list-/);
+    });
+
+    test('skips extra-pool sheets that were never loaded', () => {
+      const pack = generatePack(setCards, BOOSTER_PROFILES.play);
+
+      expect(pack).toHaveLength(14);
+      expect(pack.every((c) => !c.id.startsWith('list'))).toBe(true);
+    });
+
+    test('never repeats a card even across wildcard and foil slots', () => {
+      const pack = generatePack([...makeCards('common', 10), ...makeCards('uncommon', 3), ...makeCards('rare', 1), ...basics], BOOSTER_PROFILES.play);
+
+      expect(new Set(pack.map((c) => c.id)).size).toBe(pack.length);
+    });
+  });
+
+  describe('Special Slots', () => {
+    const legends = makeCards('legend', 6, 'Legendary Creature — Human').map((card) => ({ ...card, rarity: 'uncommon' }));
+    const dmuProfile = require('../../public/data/sets/dmu/collation.json');
+
+    test('fills a filtered slot from matching cards', () => {
+      const profile = {
+        booster: 'custom',
+        slots: [
+          { name: 'legend', count: 1, filter: 't:legendary t:creature', sheets: { uncommon: 1 } },
+          { name: 'land', count: 1, sheets: { basicLand: 1 } },
+        ],
+      };
+
+      for (let i = 0; i < 10; i++) {
+        const pack = generatePack([...setCards, ...legends], profile);
+        expect(pack[0].type_line).toContain('Legendary Creature');
+      }
+    });
+
+    test('opens from the plain sheet when nothing matches the filter', () => {
+      const profile = {
+        booster: 'custom',
+        slots: [
+          { name: 'dfc', count: 1, filter: 'is:dfc', sheets: { uncommon: 1 } },
+          { name: 'land', count: 1, sheets: { basicLand: 1 } },
+        ],
+      };
+
+      expect(generatePack(setCards, profile)[0].rarity).toBe('uncommon');
+    });
+
+    test('DMU packs always hold a legendary creature', () => {
+      const profile = resolveCollationProfile(dmuProfile, '2022-09-09');
+
+      for (let i = 0; i < 10; i++) {
+        const pack = generatePack([...setCards, ...legends], profile);
+        expect(pack).toHaveLength(15);
+        expect(pack.some((c) => c.type_line.includes('Legendary Creature'))).toBe(true);
+      }
+    });
+  });
+
+  describe('Common Collation Modes', () => {
+    const colorCommons = ['W', 'U', 'B', 'R', 'G'].flatMap((color) =>
+      Array.from({ length: 20 }, (_, i) => ({
+        id: `${color}-common-${i}`,
+        name: `${color} common ${i}`,
+        rarity: 'common',
+        type_line: 'Creature',
+        colors: [color],
+      }))
+    );
+    const goldCommons = makeCards('gold', 5).map((card) => ({ ...card, rarity: 'common', colors: ['W', 'U'] }));
+    const cards = [...colorCommons, ...goldCommons, ...makeCards('uncommon', 20), ...makeCards('rare', 10), ...basics];
+
+    const commonColorCounts = (pack) => {
+      const counts = { W: 0, U: 0, B: 0, R: 0, G: 0 };
+      pack
+        .filter((c) => c.rarity === 'common' && c.colors)
+        .forEach((c) => c.colors.forEach((color) => counts[color]++));
+      return counts;
+    };
+
+    test('print sheet stripes mono-color commons W, U, B, R, G', () => {
+      const sheet = buildPrintSheet(colorCommons);
+
+      expect(sheet).toHaveLength(100);
+      expect(sheet.slice(0, 5).map((c) => c.colors[0])).toEqual(['W', 'U', 'B', 'R', 'G']);
+    });
+
+    test('print sheet spaces multicolor commons through the stripes', () => {
+      const sheet = buildPrintSheet([...colorCommons, ...goldCommons]);
+      const goldPositions = sheet.map((c, i) => (c.colors.length > 1 ? i : -1)).filter((i) => i >= 0);
+
+      expect(sheet).toHaveLength(105);
+      expect(goldPositions).toHaveLength(5);
+      goldPositions.slice(1).forEach((position, i) => {
+        expect(position - goldPositions[i]).toBeGreaterThan(10);
+      });
+    });
+
+    test('print sheet wraps shorter colors so every row is full', () => {
+      const sheet = buildPrintSheet([...colorCommons.slice(0, 20), ...colorCommons.slice(20, 25)]);
+
+      expect(sheet).toHaveLength(40);
+      expect(sheet.filter((c) => c.colors[0] === 'U')).toHaveLength(20);
+    });
+
+    test('print sheet runs give every color at least one common', () => {
+      const profile = { ...BOOSTER_PROFILES.draft, commonCollation: 'printSheet' };
+
+      for (let i = 0; i < 20; i++) {
+        const pack = generatePack(cards, profile);
+        expect(pack).toHaveLength(15);
+        Object.values(commonColorCounts(pack)).forEach((count) => expect(count).toBeGreaterThanOrEqual(1));
+      }
+    });
+
+    test('balanced mode puts one common of each color in every pack', () => {
+      const profile = { ...BOOSTER_PROFILES.draft, commonCollation: 'balanced' };
+
+      for (let i = 0; i < 20; i++) {
+        const pack = generatePack(cards, profile);
+        expect(pack).toHaveLength(15);
+        expect(new Set(pack.map((c) => c.id)).size).toBe(15);
+        Object.values(commonColorCounts(pack)).forEach((count) => expect(count).toBeGreaterThanOrEqual(1));
+      }
+    });
+
+    test('leaves mixed slots such as the Play Booster wildcard random', () => {
+      const profile = { ...BOOSTER_PROFILES.play, commonCollation: 'printSheet' };
+
+      expect(generatePack(cards, profile)).toHaveLength(14);
+    });
+
+    test('reads the mode from collation.json and rejects unknown modes', () => {
+      expect(resolveCollationProfile({ commonCollation: 'printSheet' }).commonCollation).toBe('printSheet');
+      expect(resolveCollationProfile(null).commonCollation).toBe('random');
+      expect(() => resolveCollationProfile({ commonCollation: 'sorted' })).toThrow('Unknown common collation "sorted" in collation profile.');
+    });
+  });
+
+  describe('resolveCollationProfile', () => {
+    test('defaults to Draft Boosters before Murders at Karlov Manor', () => {
+      expect(resolveCollationProfile(null, '2022-09-09').booster).toBe('draft');
+      expect(getDefaultBoosterType(undefined)).toBe('draft');
+    });
+
+    test('defaults to Play Boosters from Murders at Karlov Manor on', () => {
+      expect(resolveCollationProfile(null, '2024-02-09').slots).toBe(BOOSTER_PROFILES.play.slots);
+    });
+
+    test('uses the booster named in collation.json', () => {
+      expect(resolveCollationProfile({ booster: 'set' }, '2022-09-09').booster).toBe('set');
+    });
+
+    test('keeps custom slots and extra pools', () => {
+      const slots = [{ name: 'common', count: 15, sheets: { common: 1 } }];
+      const profile = resolveCollationProfile({ booster: 'jumpstart', slots, pools: { list: 'e:plst' } });
+
+      expect(profile.slots).toBe(slots);
+      expect(profile.pools).toEqual({ list: 'e:plst' });
+    });
+
+    test('throws on an unknown booster without slots', () => {
+      expect(() => resolveCollationProfile({ booster: 'mystery' })).toThrow('Unknown booster type "mystery" in collation profile.');
+    });
+  });
+
+  describe('buildRarityPools', () => {
+    test('keeps basic lands out of the common sheet', () => {
+      const pools = buildRarityPools(setCards);
+
+      expect(pools.common).toHaveLength(101);
+      expect(pools.basicLand).toHaveLength(5);
+      expect(pools.nonBasics).toHaveLength(261);
+    });
+  });
+
+  describe('getMythicRate', () => {
+    test('weights rares twice as heavily as mythics', () => {
+      expect(getMythicRate(buildRarityPools(setCards))).toBeCloseTo(1 / 7);
+    });
+
+    test('returns 0 for sets without mythics', () => {
+      expect(getMythicRate({ rare: makeCards('rare', 10), mythic: [] })).toBe(0);
+    });
+  });
+
+  describe('sortPackByRarity', () => {
+    test('orders mythic, rare, uncommon, common, land', () => {
+      const pack = [basics[0], ...makeCards('common', 1), ...makeCards('mythic', 1), ...makeCards('uncommon', 1)];
+      expect(sortPackByRarity(pack).map((c) => c.rarity)).toEqual(['mythic', 'uncommon', 'common', 'common']);
+      expect(sortPackByRarity(pack)[3]).toBe(basics[0]);
+    });
+  });
+
+  describe('withCopyIds', () => {
+    test('gives each repeat copy its own id and keeps the first', () => {
+      const [card, other] = makeCards('common', 2);
+      const pool = withCopyIds([card, other, card, card]);
+
+      expect(pool.map((c) => c.id)).toEqual(['common-0', 'common-1', 'common-0-copy2', 'common-0-copy3']);
+      expect(pool[0]).toBe(card);
+      expect(pool[2].name).toBe(card.name);
+    });
+  });
+});
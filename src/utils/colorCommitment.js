@@ -0,0 +1,76 @@
+// src/utils/colorCommitment.js
+// Which colors a drafter is in. Each drafted card counts toward its colors by how good it
+// is (relative to the rest of the pool) and how recent it is, so one off-color first pick
+// does not swing a drafter around. The first few picks only lean toward one color; after
+// that the drafter commits to two and switches a color only when another clearly overtakes
+// it, which is a deliberate pivot rather than a flip.
+import { COLORS, leanTowardOpenColors } from './signals';
+
+export const COLOR_NAMES = { W: 'White', U: 'Blue', B: 'Black', R: 'Red', G: 'Green' };
+
+// Picks spent leaning toward a single color before committing to two
+export const FLEXIBLE_PICKS = 5;
+
+// How far (in cards halfway between the pool's worst and best) a color must pull ahead of a
+// committed one to replace it
+export const PIVOT_MARGIN = 2;
+
+// Each pick back in the draft counts this much less than the one after it
+const RECENCY_DECAY = 0.95;
+
+// Quality of the pool's worst and best cards; cards in between are placed linearly, so one
+// halfway between them counts as 1
+const QUALITY_RANGE = [0, 2];
+
+// Weight behind each color: card quality times recency, split across a gold card's colors.
+// Quality is measured from the pool's worst card to its best rather than as a ratio, since
+// win-rate scores sit far from zero and every card would otherwise count nearly alike; a pool
+// of equal cards counts each as 1. `rateCard` is a color-blind card rating. With `signals`,
+// the weights lean toward the colors flowing to the drafter.
+export const getColorWeights = (cards, rateCard, signals) => {
+  const weights = { W: 0, U: 0, B: 0, R: 0, G: 0 };
+  const ratings = cards.map(rateCard);
+  const worst = Math.min(...ratings);
+  const range = Math.max(...ratings) - worst;
+
+  cards.forEach((card, i) => {
+    const colors = (card.colors || []).filter((color) => COLORS.includes(color));
+    if (colors.length === 0) return;
+    const quality = range > 0
+      ? QUALITY_RANGE[0] + ((QUALITY_RANGE[1] - QUALITY_RANGE[0]) * (ratings[i] - worst)) / range
+      : 1;
+    const recency = RECENCY_DECAY ** (cards.length - 1 - i);
+    colors.forEach((color) => {
+      weights[color] += (quality * recency) / colors.length;
+    });
+  });
+
+  return signals ? leanTowardOpenColors(weights, signals) : weights;
+};
+
+// Whether the drafter is still in its flexible first picks
+export const isFlexible = (pickCount) => pickCount < FLEXIBLE_PICKS;
+
+// The drafter's colors after a pick, strongest first: one leaning color during the first
+// picks, then the committed pair. Keeps the current colors when nothing colored is drafted.
+export const updateCommittedColors = (current, weights, pickCount) => {
+  const ranked = COLORS.filter((color) => weights[color] > 0).sort((a, b) => weights[b] - weights[a]);
+  if (ranked.length === 0) return current;
+  if (isFlexible(pickCount)) return ranked.slice(0, 1);
+
+  const colors = current.filter((color) => weights[color] > 0).slice(0, 2);
+  ranked.forEach((color) => {
+    if (colors.length < 2 && !colors.includes(color)) colors.push(color);
+  });
+
+  // Pivot: the best color outside the pair replaces the weaker one once it leads by the margin
+  const challenger = ranked.find((color) => !colors.includes(color));
+  if (challenger && colors.length === 2) {
+    const weaker = weights[colors[0]] < weights[colors[1]] ? 0 : 1;
+    if (weights[challenger] > weights[colors[weaker]] + PIVOT_MARGIN) {
+      colors[weaker] = challenger;
+    }
+  }
+
+  return colors.sort((a, b) => weights[b] - weights[a]);
+};
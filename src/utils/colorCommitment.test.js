@@ -0,0 +1,81 @@
+import { getColorWeights, updateCommittedColors, isFlexible, FLEXIBLE_PICKS, PIVOT_MARGIN } from './colorCommitment';
+import { getWinRateScore } from './ratings';
+
+describe('Color Commitment', () => {
+  let nextId = 0;
+  const card = (colors, rating = 10) => ({ id: `card-${nextId++}`, colors, rating });
+  const rateCard = (c) => c.rating;
+  const times = (count, make) => Array.from({ length: count }, make);
+  const weights = (w) => ({ W: 0, U: 0, B: 0, R: 0, G: 0, ...w });
+
+  test('better cards count for more', () => {
+    const w = getColorWeights([card(['W'], 20), card(['U'], 5)], rateCard);
+
+    expect(w.W).toBeGreaterThan(w.U * 3);
+  });
+
+  test('better cards count for more on the win-rate score scale', () => {
+    const scored = (colors, gihwr) => card(colors, getWinRateScore({ gihwr }));
+    const w = getColorWeights([scored(['W'], 62), scored(['B'], 56), scored(['U'], 50)], rateCard);
+
+    expect(w.W).toBeGreaterThan(w.B * 1.5);
+    expect(w.B).toBeGreaterThan(w.U);
+  });
+
+  test('recent picks count for more than old ones', () => {
+    const w = getColorWeights([card(['W']), card(['U'])], rateCard);
+
+    expect(w.U).toBeGreaterThan(w.W);
+  });
+
+  test('gold cards split their weight and colorless cards add none', () => {
+    const w = getColorWeights([card(['W', 'B']), card([])], rateCard);
+
+    expect(w.W).toBeCloseTo(w.B);
+    expect(w.U + w.R + w.G).toBe(0);
+  });
+
+  test('signals lean the weights toward open colors', () => {
+    const pool = [card(['W']), card(['U'])];
+
+    expect(getColorWeights(pool, rateCard, { W: 5 }).W).toBeGreaterThan(getColorWeights(pool, rateCard).W);
+  });
+
+  test('leans toward a single color during the first picks', () => {
+    expect(updateCommittedColors(['R'], weights({ U: 2, W: 1 }), 2)).toEqual(['U']);
+    expect(isFlexible(FLEXIBLE_PICKS - 1)).toBe(true);
+    expect(isFlexible(FLEXIBLE_PICKS)).toBe(false);
+  });
+
+  test('keeps the current colors until something colored is drafted', () => {
+    expect(updateCommittedColors(['R'], weights({}), 1)).toEqual(['R']);
+  });
+
+  test('commits to the leaning color plus the next best', () => {
+    expect(updateCommittedColors(['U'], weights({ U: 3, W: 2, B: 1 }), FLEXIBLE_PICKS)).toEqual(['U', 'W']);
+  });
+
+  test('one strong off-color pick does not flip a committed drafter', () => {
+    const w = weights({ U: 4, W: 3, R: 3 + PIVOT_MARGIN - 0.5 });
+
+    expect(updateCommittedColors(['U', 'W'], w, 10)).toEqual(['U', 'W']);
+  });
+
+  test('pivots once another color clearly overtakes a committed one', () => {
+    const w = weights({ U: 4, W: 2, R: 2 + PIVOT_MARGIN + 0.5 });
+
+    expect(updateCommittedColors(['U', 'W'], w, 10)).toEqual(['R', 'U']);
+  });
+
+  test('a pool moving into a new color pivots over a run of picks', () => {
+    const pool = [...times(8, () => card(['W'])), ...times(4, () => card(['U']))];
+    let colors = updateCommittedColors([], getColorWeights(pool, rateCard), pool.length);
+    expect(colors).toEqual(['W', 'U']);
+
+    times(10, () => card(['G'])).forEach((pick) => {
+      pool.push(pick);
+      colors = updateCommittedColors(colors, getColorWeights(pool, rateCard), pool.length);
+    });
+    expect(colors).toContain('G');
+  });
+});
@@ -0,0 +1,94 @@
+// src/utils/cube.js
+// Cube lists: parse an uploaded list, expand it into a card pool and deal packs without collation
+import Papa from 'papaparse';
+import { shuffle } from './random';
+
+const COUNT_COLUMNS = ['count', 'quantity', 'qty', 'copies'];
+
+// Read a header-row CSV (CubeCobra exports and similar); each row is one entry
+const parseCubeCsv = (text) => {
+  const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true });
+  const fields = meta.fields || [];
+  const nameField = fields.find((field) => field.trim().toLowerCase() === 'name');
+  const countField = fields.find((field) => COUNT_COLUMNS.includes(field.trim().toLowerCase()));
+
+  return data.map((row) => ({
+    name: (row[nameField] || '').trim(),
+    count: countField ? parseInt(row[countField], 10) || 0 : 1,
+  }));
+};
+
+// Read one card per line, with optional "2 Name" / "2x Name" counts and # or // comments
+const parseCubeText = (text) =>
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#') && !line.startsWith('//'))
+    .map((line) => {
+      const match = line.match(/^(\d+)x?\s+(.+)$/i);
+      return match
+        ? { name: match[2].trim(), count: parseInt(match[1], 10) }
+        : { name: line, count: 1 };
+    });
+
+const looksLikeCsv = (text) => {
+  const header = text.split(/\r?\n/, 1)[0].toLowerCase();
+  return header.includes(',') && header.split(',').some((field) => field.replace(/"/g, '').trim() === 'name');
+};
+
+// Parse a cube list into [{ name, count }], merging repeated names
+export const parseCubeList = (text) => {
+  const entries = looksLikeCsv(text) ? parseCubeCsv(text) : parseCubeText(text);
+  const merged = new Map();
+
+  entries
+    .filter((entry) => entry.name && entry.count > 0)
+    .forEach(({ name, count }) => {
+      const key = name.toLowerCase();
+      const existing = merged.get(key);
+      merged.set(key, { name: existing ? existing.name : name, count: (existing ? existing.count : 0) + count });
+    });
+
+  return [...merged.values()];
+};
+
+// Match Scryfall's full name or, for split and double-faced cards, the front face name
+const nameKeys = (card) => {
+  const keys = [card.name.toLowerCase()];
+  if (card.name.includes(' // ')) keys.push(card.name.split(' // ')[0].toLowerCase());
+  return keys;
+};
+
+// Expand entries into one card object per copy. Copies after the first get their own id,
+// since picks and deck building tell cards apart by id.
+export const buildCubePool = (entries, resolvedCards) => {
+  const byName = new Map();
+  resolvedCards.forEach((card) => nameKeys(card).forEach((key) => byName.set(key, card)));
+
+  const pool = [];
+  const notFound = [];
+
+  entries.forEach(({ name, count }) => {
+    const card = byName.get(name.toLowerCase());
+    if (!card) {
+      notFound.push(name);
+      return;
+    }
+    for (let copy = 0; copy < count; copy++) {
+      pool.push(copy === 0 ? card : { ...card, id: `${card.id}-copy${copy + 1}` });
+    }
+  });
+
+  return { pool, notFound };
+};
+
+// Shuffle the cube and deal `packCount` packs of `packSize` cards
+export const generateCubePacks = (pool, packCount, packSize, rng = Math.random) => {
+  const needed = packCount * packSize;
+  if (pool.length < needed) {
+    throw new Error(`Cube has ${pool.length} cards but ${packCount} packs of ${packSize} need ${needed}.`);
+  }
+
+  const shuffled = shuffle(pool, rng);
+  return Array.from({ length: packCount }, (_, i) => shuffled.slice(i * packSize, (i + 1) * packSize));
+};
@@ -0,0 +1,96 @@
+import { parseCubeList, buildCubePool, generateCubePacks } from './cube';
+import { createRng } from './random';
+
+describe('Cube Lists', () => {
+  describe('parseCubeList', () => {
+    test('reads one card name per line', () => {
+      expect(parseCubeList('Lightning Bolt\nCounterspell\n\nDark Ritual\n')).toEqual([
+        { name: 'Lightning Bolt', count: 1 },
+        { name: 'Counterspell', count: 1 },
+        { name: 'Dark Ritual', count: 1 },
+      ]);
+    });
+
+    test('reads "2 Name" and "2x Name" counts and skips comments', () => {
+      expect(parseCubeList('# Red\n2 Lightning Bolt\n3x Shock\n// Blue\nCounterspell')).toEqual([
+        { name: 'Lightning Bolt', count: 2 },
+        { name: 'Shock', count: 3 },
+        { name: 'Counterspell', count: 1 },
+      ]);
+    });
+
+    test('reads a CSV with a count column', () => {
+      const csv = 'Count,Name,Set\n2,Lightning Bolt,M11\n1,"Fire // Ice",MH2\n';
+
+      expect(parseCubeList(csv)).toEqual([
+        { name: 'Lightning Bolt', count: 2 },
+        { name: 'Fire // Ice', count: 1 },
+      ]);
+    });
+
+    test('treats each CSV row as one copy when there is no count column', () => {
+      const csv = 'name,CMC,Type\nLightning Bolt,1,Instant\nLightning Bolt,1,Instant\nShock,1,Instant\n';
+
+      expect(parseCubeList(csv)).toEqual([
+        { name: 'Lightning Bolt', count: 2 },
+        { name: 'Shock', count: 1 },
+      ]);
+    });
+
+    test('merges repeated names case-insensitively', () => {
+      expect(parseCubeList('Shock\nshock\n2 SHOCK')).toEqual([{ name: 'Shock', count: 4 }]);
+    });
+
+    test('returns nothing for an empty list', () => {
+      expect(parseCubeList('\n\n# just a comment\n')).toEqual([]);
+    });
+  });
+
+  describe('buildCubePool', () => {
+    const bolt = { id: 'bolt', name: 'Lightning Bolt' };
+    const fireIce = { id: 'fire-ice', name: 'Fire // Ice' };
+
+    test('expands counts into copies with their own ids', () => {
+      const { pool } = buildCubePool([{ name: 'Lightning Bolt', count: 3 }], [bolt]);
+
+      expect(pool.map((c) => c.id)).toEqual(['bolt', 'bolt-copy2', 'bolt-copy3']);
+      expect(pool.every((c) => c.name === 'Lightning Bolt')).toBe(true);
+    });
+
+    test('matches split cards by their front face name', () => {
+      const { pool } = buildCubePool([{ name: 'fire', count: 1 }], [fireIce]);
+
+      expect(pool).toEqual([fireIce]);
+    });
+
+    test('reports names Scryfall could not resolve', () => {
+      const { pool, notFound } = buildCubePool(
+        [{ name: 'Lightning Bolt', count: 1 }, { name: 'Not A Card', count: 1 }],
+        [bolt]
+      );
+
+      expect(pool).toEqual([bolt]);
+      expect(notFound).toEqual(['Not A Card']);
+    });
+  });
+
+  describe('generateCubePacks', () => {
+    const pool = Array.from({ length: 50 }, (_, i) => ({ id: `card-${i}`, name: `Card ${i}` }));
+
+    test('deals packs of the chosen size with no card dealt twice', () => {
+      const packs = generateCubePacks(pool, 3, 15, createRng('cube'));
+
+      expect(packs).toHaveLength(3);
+      packs.forEach((pack) => expect(pack).toHaveLength(15));
+      expect(new Set(packs.flat().map((c) => c.id)).size).toBe(45);
+    });
+
+    test('deals the same packs for the same seed', () => {
+      expect(generateCubePacks(pool, 2, 9, createRng('night'))).toEqual(generateCubePacks(pool, 2, 9, createRng('night')));
+    });
+
+    test('throws when the cube is too small', () => {
+      expect(() => generateCubePacks(pool, 4, 15)).toThrow('Cube has 50 cards but 4 packs of 15 need 60.');
+    });
+  });
+});
@@ -0,0 +1,166 @@
+// src/utils/deckBuilder.js
+// Automatic 40-card deck building for bots: the two colors with the strongest playables,
+// an optional light splash for strong cards one color off, 23 spells picked by rating and
+// curve, and 17 basics split by the spells' mana symbols.
+import { DECK_SPELLS, isPlayableIn, getPoolProfile, getNeedsScore } from './deckNeeds';
+
+export const DECK_SIZE = 40;
+export const COLOR_PAIRS = ['WU', 'WB', 'WR', 'WG', 'UB', 'UR', 'UG', 'BR', 'BG', 'RG'].map((pair) => pair.split(''));
+
+export const BASIC_LAND_NAMES = { W: 'Plains', U: 'Island', B: 'Swamp', R: 'Mountain', G: 'Forest' };
+
+// A splash is at most this many cards, each rated above the weakest main-color spell it
+// replaces by this share of the pool's rating spread, and gets this many of the deck's
+// basics. Measuring the margin in spreads keeps it the same on win-rate and taken-at scores.
+const MAX_SPLASH_CARDS = 2;
+const SPLASH_MARGIN = 0.15;
+const SPLASH_LANDS = 3;
+
+export const createBasicLand = (color, index) => ({
+  id: `basic-${color}-${index}`,
+  name: BASIC_LAND_NAMES[color],
+  type_line: 'Basic Land',
+  colors: [color],
+  image_uris: { normal: 'https://via.placeholder.com/223x310?text=Basic+Land' }, // Placeholder; replace with real images
+});
+
+// Colored mana symbols in a card's cost, falling back to its colors when the cost is unknown
+const colorSymbols = (card) => {
+  const symbols = (card.mana_cost || '').match(/[WUBRG]/g);
+  return symbols || card.colors || [];
+};
+
+const topRated = (cards, ratings, count) =>
+  [...cards].sort((a, b) => ratings.get(b.id) - ratings.get(a.id)).slice(0, count);
+
+// Pair whose best 23 playables rate highest; ties go to the pair with more playables
+const chooseColors = (pool, ratings) => {
+  let best = COLOR_PAIRS[0];
+  let bestTotal = -Infinity;
+  let bestDepth = 0;
+  COLOR_PAIRS.forEach((pair) => {
+    const playables = pool.filter((card) => isPlayableIn(card, pair));
+    const total = topRated(playables, ratings, DECK_SPELLS).reduce((sum, card) => sum + ratings.get(card.id), 0);
+    if (total > bestTotal || (total === bestTotal && playables.length > bestDepth)) {
+      best = pair;
+      bestTotal = total;
+      bestDepth = playables.length;
+    }
+  });
+  return best;
+};
+
+// Pick spells one at a time, each the candidate whose rating plus deck needs is highest
+const chooseSpells = (candidates, ratings, colors, count) => {
+  const spells = [];
+  const remaining = [...candidates];
+  while (spells.length < count && remaining.length > 0) {
+    const profile = getPoolProfile(spells, colors);
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((card, i) => {
+      const score = ratings.get(card.id) + getNeedsScore(card, profile, colors);
+      if (score > bestScore) {
+        bestIndex = i;
+        bestScore = score;
+      }
+    });
+    spells.push(remaining.splice(bestIndex, 1)[0]);
+  }
+  return spells;
+};
+
+// Strong cards that are one color off the main pair, when one color has enough of them
+const chooseSplash = (pool, ratings, colors, spells) => {
+  const weakest = Math.min(...spells.map((card) => ratings.get(card.id)));
+  const poolRatings = [...ratings.values()];
+  const margin = SPLASH_MARGIN * (Math.max(...poolRatings) - Math.min(...poolRatings));
+  const byColor = {};
+  pool.forEach((card) => {
+    const offColors = (card.colors || []).filter((color) => !colors.includes(color));
+    if (card.type_line?.includes('Land') || offColors.length !== 1) return;
+    if (ratings.get(card.id) - weakest <= margin) return;
+    (byColor[offColors[0]] = byColor[offColors[0]] || []).push(card);
+  });
+
+  let splash = null;
+  let splashCards = [];
+  Object.entries(byColor).forEach(([color, cards]) => {
+    const best = topRated(cards, ratings, MAX_SPLASH_CARDS);
+    const total = best.reduce((sum, card) => sum + ratings.get(card.id), 0);
+    if (!splash || total > splashCards.reduce((sum, card) => sum + ratings.get(card.id), 0)) {
+      splash = color;
+      splashCards = best;
+    }
+  });
+  return { splash, splashCards };
+};
+
+// Split the basics across colors by mana symbols (largest remainder), with a fixed share
+// for the splash color
+export const splitBasics = (spells, colors, splash, landCount) => {
+  const counts = {};
+  colors.forEach((color) => {
+    counts[color] = 0;
+  });
+  spells.forEach((card) => {
+    colorSymbols(card).forEach((color) => {
+      if (counts[color] !== undefined) counts[color]++;
+    });
+  });
+
+  const mainLands = landCount - (splash ? SPLASH_LANDS : 0);
+  const totalSymbols = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const shares = colors.map((color) => ({
+    color,
+    exact: totalSymbols > 0 ? (counts[color] / totalSymbols) * mainLands : mainLands / colors.length,
+  }));
+  const lands = {};
+  shares.forEach(({ color, exact }) => {
+    lands[color] = Math.floor(exact);
+  });
+  let left = mainLands - shares.reduce((sum, { color }) => sum + lands[color], 0);
+  [...shares]
+    .sort((a, b) => (b.exact % 1) - (a.exact % 1))
+    .forEach(({ color }) => {
+      if (left > 0) {
+        lands[color]++;
+        left--;
+      }
+    });
+  if (splash) lands[splash] = SPLASH_LANDS;
+  return lands;
+};
+
+// Build a 40-card deck from a drafted pool. `rateCard` is a color-blind card rating.
+// Returns the main colors, the splash color (or null), the deck (spells then basics) and
+// the sideboard.
+export const buildBotDeck = (pool, rateCard) => {
+  const ratings = new Map(pool.map((card) => [card.id, rateCard(card)]));
+  const colors = chooseColors(pool, ratings);
+  const candidates = pool.filter((card) => isPlayableIn(card, colors));
+  let spells = chooseSpells(candidates, ratings, colors, DECK_SPELLS);
+
+  let splash = null;
+  if (spells.length === DECK_SPELLS) {
+    const chosen = chooseSplash(pool, ratings, colors, spells);
+    if (chosen.splash) {
+      splash = chosen.splash;
+      const kept = topRated(spells, ratings, DECK_SPELLS - chosen.splashCards.length);
+      spells = [...kept, ...chosen.splashCards];
+    }
+  }
+
+  const landCounts = splitBasics(spells, colors, splash, DECK_SIZE - spells.length);
+  const lands = Object.entries(landCounts).flatMap(([color, count]) =>
+    Array.from({ length: count }, (_, i) => createBasicLand(color, i))
+  );
+  const deckIds = new Set(spells.map((card) => card.id));
+
+  return {
+    colors,
+    splash,
+    deck: [...spells, ...lands],
+    sideboard: pool.filter((card) => !deckIds.has(card.id)),
+  };
+};
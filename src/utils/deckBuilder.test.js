@@ -0,0 +1,89 @@
+import { buildBotDeck, splitBasics, createBasicLand, DECK_SIZE } from './deckBuilder';
+
+describe('Deck Builder', () => {
+  let nextId = 0;
+  const card = (colors, rating, cmc = 3, extra = {}) => ({
+    id: `card-${nextId++}`,
+    name: `Card ${nextId}`,
+    colors,
+    rating,
+    cmc,
+    type_line: 'Creature — Soldier',
+    mana_cost: colors.map((color) => `{${color}}`).join(''),
+    ...extra,
+  });
+  const times = (count, make) => Array.from({ length: count }, (_, i) => make(i));
+  const rateCard = (c) => c.rating;
+  const basics = (deck) => deck.filter((c) => c.type_line === 'Basic Land');
+
+  test('builds 40 cards from the two strongest colors', () => {
+    const pool = [
+      ...times(14, (i) => card(['W'], 60, (i % 5) + 1)),
+      ...times(14, (i) => card(['U'], 58, (i % 5) + 1)),
+      ...times(14, (i) => card(['R'], 40, (i % 5) + 1)),
+    ];
+    const { colors, splash, deck, sideboard } = buildBotDeck(pool, rateCard);
+
+    expect(colors).toEqual(['W', 'U']);
+    expect(splash).toBeNull();
+    expect(deck).toHaveLength(DECK_SIZE);
+    expect(basics(deck)).toHaveLength(17);
+    expect(deck.filter((c) => c.colors.includes('R'))).toHaveLength(0);
+    expect(sideboard).toHaveLength(pool.length - 23);
+  });
+
+  test('fills the curve instead of stacking expensive cards', () => {
+    const pool = [
+      ...times(15, () => card(['G'], 50, 6)),
+      ...times(15, (i) => card(['G'], 49, (i % 2) + 2)),
+      ...times(10, (i) => card(['B'], 49, (i % 2) + 2)),
+    ];
+    const { colors, deck } = buildBotDeck(pool, rateCard);
+
+    // Picking by rating alone would take all 15 six-drops
+    expect(colors).toEqual(['B', 'G']);
+    expect(deck.filter((c) => c.cmc >= 6).length).toBeLessThan(7);
+  });
+
+  test('splashes a bomb one color off the main pair', () => {
+    const bomb = card(['B'], 90, 4);
+    const pool = [
+      ...times(14, (i) => card(['W'], 60, (i % 5) + 1)),
+      ...times(14, (i) => card(['U'], 58, (i % 5) + 1)),
+      bomb,
+    ];
+    const { colors, splash, deck } = buildBotDeck(pool, rateCard);
+
+    expect(colors).toEqual(['W', 'U']);
+    expect(splash).toBe('B');
+    expect(deck).toContain(bomb);
+    expect(deck).toHaveLength(DECK_SIZE);
+    expect(basics(deck).filter((c) => c.name === 'Swamp')).toHaveLength(3);
+  });
+
+  test('splashes by the same margin on taken-at scores, where the weakest spell can score 0', () => {
+    const mainPair = [...times(12, () => card(['W'], 35)), ...times(10, () => card(['U'], 28)), card(['U'], 0)];
+
+    expect(buildBotDeck([...mainPair, card(['B'], 3)], rateCard).splash).toBeNull();
+    expect(buildBotDeck([...mainPair, card(['B'], 42)], rateCard).splash).toBe('B');
+  });
+
+  test('tops up with basics when the pool is short of playables', () => {
+    const pool = times(18, (i) => card(i % 2 ? ['R'] : ['G'], 50));
+    const { deck } = buildBotDeck(pool, rateCard);
+
+    expect(deck).toHaveLength(DECK_SIZE);
+    expect(basics(deck)).toHaveLength(22);
+  });
+
+  test('splits basics by mana symbols', () => {
+    const spells = [card(['W'], 50, 2, { mana_cost: '{W}{W}' }), card(['U'], 50, 2, { mana_cost: '{1}{U}' })];
+
+    expect(splitBasics(spells, ['W', 'U'], null, 17)).toEqual({ W: 11, U: 6 });
+    expect(splitBasics(spells, ['W', 'U'], 'B', 17)).toEqual({ W: 9, U: 5, B: 3 });
+  });
+
+  test('basic lands are named for their color', () => {
+    expect(createBasicLand('G', 2)).toMatchObject({ id: 'basic-G-2', name: 'Forest', type_line: 'Basic Land', colors: ['G'] });
+  });
+});
@@ -0,0 +1,89 @@
+// src/utils/deckNeeds.js
+// Pool composition: what a drafter's deck still needs. A 40-card deck runs about 23 spells,
+// so each pick is weighed against a target curve, creature count and removal count for the
+// playables already drafted in the drafter's colors. Needs grow with the pool, so early picks
+// are left to card quality and late picks fill the holes.
+import { getOracleText } from './cardFilter';
+
+export const DECK_SPELLS = 23;
+
+// Spells per mana value (6 covers 6 and up) in a typical limited deck
+export const CURVE_TARGETS = { 1: 1, 2: 7, 3: 6, 4: 4, 5: 3, 6: 2 };
+export const CREATURE_TARGET = 15;
+export const REMOVAL_TARGET = 4;
+
+// Score per card of need; surpluses cost more the further past the target they run
+const CURVE_WEIGHT = 1;
+const CURVE_RANGE = [-5, 3];
+const CREATURE_WEIGHT = 0.5;
+const CREATURE_RANGE = [-4, 4];
+const REMOVAL_BONUS = 4;
+const PLAYABLE_BONUS = 6;
+
+const REMOVAL_PATTERNS = [
+  /\b(destroy|exile) target (creature|nonland permanent|artifact or creature|permanent)/,
+  /deals? (\d+|x) damage to (any target|target creature|target attacking|target blocking)/,
+  /deals damage equal to .* to (any target|target creature)/,
+  /\bfights? (target|another target|up to one target)/,
+  /target creature( an opponent controls)? gets -\d+\/-\d+/,
+  /target creature( an opponent controls)? gets -x\/-x/,
+];
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+const isLand = (card) => (card.type_line || '').includes('Land');
+const isCreature = (card) => (card.type_line || '').includes('Creature');
+const curveSlot = (card) => Math.min(6, Math.max(1, Math.floor(card.cmc || 0)));
+
+// Spells that kill or exile an opposing creature, read from the oracle text
+export const isRemoval = (card) => {
+  const text = getOracleText(card);
+  return REMOVAL_PATTERNS.some((pattern) => pattern.test(text));
+};
+
+// Nonland cards castable in these colors; no colors yet means anything goes
+export const isPlayableIn = (card, colors) =>
+  !isLand(card) && (colors.length === 0 || (card.colors || []).every((color) => colors.includes(color)));
+
+// Curve, creature and removal counts over the pool's playables in these colors
+export const getPoolProfile = (cards, colors) => {
+  const playables = cards.filter((card) => isPlayableIn(card, colors));
+  const curve = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0 };
+  playables.forEach((card) => {
+    curve[curveSlot(card)]++;
+  });
+
+  return {
+    playables: playables.length,
+    curve,
+    creatures: playables.filter(isCreature).length,
+    removal: playables.filter(isRemoval).length,
+  };
+};
+
+// Bonus (or, for a surplus, penalty) for how well a card fills the pool's needs. With
+// `picksLeft`, on-color cards also gain value when the pool is short of playables for the
+// picks that remain.
+export const getNeedsScore = (card, profile, colors, picksLeft) => {
+  if (!isPlayableIn(card, colors)) return 0;
+
+  // How many of each the deck should have by now, given its playables so far
+  const expected = (target) => (target / DECK_SPELLS) * Math.min(profile.playables, DECK_SPELLS);
+  const slot = curveSlot(card);
+
+  let score = CURVE_WEIGHT * clamp(expected(CURVE_TARGETS[slot]) - profile.curve[slot], CURVE_RANGE);
+
+  const creatureGap = expected(CREATURE_TARGET) - profile.creatures;
+  score += CREATURE_WEIGHT * clamp(isCreature(card) ? creatureGap : -creatureGap, CREATURE_RANGE);
+
+  if (isRemoval(card) && profile.removal < REMOVAL_TARGET) {
+    score += REMOVAL_BONUS;
+  }
+
+  if (picksLeft > 0) {
+    const shortfall = Math.max(0, DECK_SPELLS - profile.playables);
+    score += PLAYABLE_BONUS * Math.min(1, shortfall / picksLeft);
+  }
+
+  return score;
+};
@@ -0,0 +1,85 @@
+import { isRemoval, isPlayableIn, getPoolProfile, getNeedsScore, DECK_SPELLS } from './deckNeeds';
+
+describe('Deck Needs', () => {
+  let nextId = 0;
+  const creature = (cmc, colors = ['R']) => ({
+    id: `c${nextId++}`, name: 'Creature', cmc, colors, type_line: 'Creature — Goblin', oracle_text: '',
+  });
+  const spell = (cmc, oracleText, colors = ['R']) => ({
+    id: `s${nextId++}`, name: 'Spell', cmc, colors, type_line: 'Instant', oracle_text: oracleText,
+  });
+  const land = () => ({ id: `l${nextId++}`, name: 'Land', cmc: 0, colors: [], type_line: 'Land', oracle_text: '' });
+  const times = (count, make) => Array.from({ length: count }, make);
+
+  test('recognises common removal wordings', () => {
+    expect(isRemoval(spell(1, 'Lightning Bolt deals 3 damage to any target.'))).toBe(true);
+    expect(isRemoval(spell(2, 'Destroy target creature.'))).toBe(true);
+    expect(isRemoval(spell(2, 'Target creature you control fights target creature you don\'t control.'))).toBe(true);
+    expect(isRemoval(spell(2, 'Target creature gets -3/-3 until end of turn.'))).toBe(true);
+    expect(isRemoval(spell(1, 'Draw a card.'))).toBe(false);
+    expect(isRemoval({ type_line: 'Instant', card_faces: [{ oracle_text: 'Exile target creature.' }] })).toBe(true);
+  });
+
+  test('playables are nonland cards in the given colors', () => {
+    expect(isPlayableIn(creature(2, ['R']), ['R', 'G'])).toBe(true);
+    expect(isPlayableIn(creature(2, ['U']), ['R', 'G'])).toBe(false);
+    expect(isPlayableIn(creature(2, []), ['R', 'G'])).toBe(true);
+    expect(isPlayableIn(land(), ['R', 'G'])).toBe(false);
+    expect(isPlayableIn(creature(2, ['U']), [])).toBe(true);
+  });
+
+  test('profiles the curve, creatures and removal of on-color playables', () => {
+    const pool = [creature(2), creature(7), spell(1, 'Destroy target creature.'), creature(3, ['U']), land()];
+    const profile = getPoolProfile(pool, ['R']);
+
+    expect(profile.playables).toBe(3);
+    expect(profile.curve).toEqual({ 1: 1, 2: 1, 3: 0, 4: 0, 5: 0, 6: 1 });
+    expect(profile.creatures).toBe(2);
+    expect(profile.removal).toBe(1);
+  });
+
+  test('a pool full of six-drops wants a two-drop over another six-drop', () => {
+    const profile = getPoolProfile(times(14, () => creature(6)), ['R']);
+
+    expect(getNeedsScore(creature(2), profile, ['R'])).toBeGreaterThan(getNeedsScore(creature(6), profile, ['R']));
+    expect(getNeedsScore(creature(6), profile, ['R'])).toBeLessThan(0);
+  });
+
+  test('creature-light pools favor creatures, creature-heavy pools favor spells', () => {
+    const spellPool = getPoolProfile(times(12, () => spell(3, 'Draw a card.')), ['R']);
+    const creaturePool = getPoolProfile(times(12, () => creature(3)), ['R']);
+
+    expect(getNeedsScore(creature(3), spellPool, ['R'])).toBeGreaterThan(getNeedsScore(spell(3, 'Draw a card.'), spellPool, ['R']));
+    expect(getNeedsScore(spell(3, 'Draw a card.'), creaturePool, ['R'])).toBeGreaterThan(getNeedsScore(creature(3), creaturePool, ['R']));
+  });
+
+  test('removal scores a bonus until the pool has enough', () => {
+    const removal = spell(2, 'Destroy target creature.');
+    const shortPool = getPoolProfile([], ['R']);
+    const fullPool = getPoolProfile(times(4, () => spell(2, 'Destroy target creature.')), ['R']);
+
+    expect(getNeedsScore(removal, shortPool, ['R'])).toBeGreaterThan(getNeedsScore(spell(2, 'Draw a card.'), shortPool, ['R']));
+    expect(getNeedsScore(removal, fullPool, ['R'])).toBeLessThan(getNeedsScore(removal, shortPool, ['R']));
+  });
+
+  test('on-color cards gain value when few picks are left to fill the deck', () => {
+    const profile = getPoolProfile(times(10, () => creature(3)), ['R']);
+    const card = creature(2);
+
+    expect(getNeedsScore(card, profile, ['R'], 5)).toBeGreaterThan(getNeedsScore(card, profile, ['R'], 30));
+    expect(getNeedsScore(card, profile, ['R'], 30)).toBeGreaterThan(getNeedsScore(card, profile, ['R']));
+  });
+
+  test('a pool with a full deck of playables gets no playable bonus', () => {
+    const profile = getPoolProfile(times(DECK_SPELLS, (_, i) => creature((i % 5) + 1)), ['R']);
+
+    expect(getNeedsScore(creature(2), profile, ['R'], 3)).toBe(getNeedsScore(creature(2), profile, ['R']));
+  });
+
+  test('off-color cards and lands are not scored', () => {
+    const profile = getPoolProfile(times(5, () => creature(6)), ['R']);
+
+    expect(getNeedsScore(creature(2, ['U']), profile, ['R'], 3)).toBe(0);
+    expect(getNeedsScore(land(), profile, ['R'], 3)).toBe(0);
+  });
+});
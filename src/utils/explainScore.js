@@ -0,0 +1,60 @@
+// src/utils/explainScore.js
+// Plain-language reasons behind a card score, from the parts the app's card scorer reports:
+// { total, stats, statsSource ('winRate' | 'takenAt' | 'takenAtRank' | 'estimated'), ratings, estimateReasons, color,
+//   colorFit ('colorless' | 'on' | 'partial' | 'off'), needs, synergy, synergyMechanics, pair }
+import { COLOR_NAMES } from './colorCommitment';
+
+const points = (value) => `${value >= 0 ? '+' : '−'}${Math.abs(value).toFixed(1)}`;
+
+// Plain-language reason for each part of a card's score
+export const explainScore = (breakdown, playerColors = []) => {
+  const { stats, statsSource, ratings = {}, estimateReasons = [], color, colorFit, needs, pair } = breakdown;
+  const { synergy = 0, synergyMechanics = [] } = breakdown;
+  const reasons = [];
+
+  if (statsSource === 'winRate') {
+    reasons.push(`${points(stats)} from its 17lands win rates (${ratings.gihwr}% in games where it was drawn)`);
+  } else if (statsSource === 'takenAt') {
+    reasons.push(`${points(stats)} because drafters take it around pick ${ratings.ata}`);
+  } else if (statsSource === 'takenAtRank') {
+    reasons.push(`${points(stats)} because its ${ratings.gihwr}% win rate ranks with cards drafters take around pick ${ratings.ata}`);
+  } else {
+    const readFrom = estimateReasons.length > 0 ? `its rules text: ${estimateReasons.join(', ')}` : 'its rules text';
+    reasons.push(`${points(stats)} from an estimated ${ratings.gihwr}% win rate read from ${readFrom} (no ratings for this card)`);
+  }
+
+  const yourColors = playerColors.map((c) => COLOR_NAMES[c]).join(' / ');
+  if (colorFit === 'colorless') {
+    reasons.push(`${points(color)} because colorless cards fit any deck`);
+  } else if (playerColors.length === 0) {
+    reasons.push(`${points(color)} for color, since you have not settled on colors yet`);
+  } else if (colorFit === 'on') {
+    reasons.push(`${points(color)} for being in your colors (${yourColors})`);
+  } else if (colorFit === 'partial') {
+    reasons.push(`${points(color)} for sharing one of your colors (${yourColors})`);
+  } else {
+    reasons.push(`${points(color)} for color: it is outside your colors (${yourColors})`);
+  }
+
+  if (needs > 0) {
+    reasons.push(`${points(needs)} because your deck needs a card like this (curve, creatures, removal)`);
+  } else if (needs < 0) {
+    reasons.push(`${points(needs)} because your pool already has plenty like it`);
+  }
+
+  if (synergy > 0) {
+    reasons.push(`${points(synergy)} for synergy with your pool (${synergyMechanics.join(', ')})`);
+  }
+
+  if (pair !== 0) {
+    reasons.push(`${points(pair)} from how well its color pair wins on 17lands`);
+  }
+
+  return reasons;
+};
+
+// Cards ranked by score, best first; ties keep pack order like the bots' picks do
+export const rankSuggestions = (pack, getBreakdown) =>
+  pack
+    .map((card) => ({ card, breakdown: getBreakdown(card) }))
+    .sort((a, b) => b.breakdown.total - a.breakdown.total);
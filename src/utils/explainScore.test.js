@@ -0,0 +1,64 @@
+import { explainScore, rankSuggestions } from './explainScore';
+
+describe('Score Explanations', () => {
+  const breakdown = (parts) => ({
+    total: 0,
+    stats: 90,
+    statsSource: 'winRate',
+    ratings: { gihwr: 60 },
+    color: 12,
+    colorFit: 'on',
+    needs: 0,
+    pair: 0,
+    ...parts,
+  });
+
+  test('explains win-rate, taken-at and estimated stats', () => {
+    expect(explainScore(breakdown({}), ['W'])[0]).toBe('+90.0 from its 17lands win rates (60% in games where it was drawn)');
+    expect(explainScore(breakdown({ statsSource: 'takenAt', stats: 42, ratings: { ata: 3 } }), ['W'])[0]).toBe(
+      '+42.0 because drafters take it around pick 3'
+    );
+    expect(explainScore(breakdown({ statsSource: 'takenAtRank', stats: 35, ratings: { gihwr: 58, ata: 5 } }), ['W'])[0]).toBe(
+      '+35.0 because its 58% win rate ranks with cards drafters take around pick 5'
+    );
+    expect(
+      explainScore(breakdown({ statsSource: 'estimated', stats: 169.5, ratings: { gihwr: 56.5 }, estimateReasons: ['removal'] }), ['W'])[0]
+    ).toBe('+169.5 from an estimated 56.5% win rate read from its rules text: removal (no ratings for this card)');
+    expect(explainScore(breakdown({ statsSource: 'estimated', ratings: { gihwr: 52 } }), ['W'])[0]).toMatch(
+      /estimated 52% win rate read from its rules text \(no ratings/
+    );
+  });
+
+  test('explains how the card fits your colors', () => {
+    expect(explainScore(breakdown({}), ['W', 'U'])[1]).toBe('+12.0 for being in your colors (White / Blue)');
+    expect(explainScore(breakdown({ colorFit: 'partial' }), ['W', 'U'])[1]).toMatch(/sharing one of your colors/);
+    expect(explainScore(breakdown({ colorFit: 'off', color: 0 }), ['W', 'U'])[1]).toBe(
+      '+0.0 for color: it is outside your colors (White / Blue)'
+    );
+    expect(explainScore(breakdown({ colorFit: 'colorless' }), [])[1]).toMatch(/colorless cards fit any deck/);
+    expect(explainScore(breakdown({ colorFit: 'off' }), [])[1]).toMatch(/not settled on colors yet/);
+  });
+
+  test('mentions deck needs and the color pair bonus only when they count', () => {
+    expect(explainScore(breakdown({}), ['W'])).toHaveLength(2);
+
+    const reasons = explainScore(breakdown({ needs: -4.5, pair: 2.5 }), ['W']);
+    expect(reasons[2]).toBe('−4.5 because your pool already has plenty like it');
+    expect(reasons[3]).toBe('+2.5 from how well its color pair wins on 17lands');
+    expect(explainScore(breakdown({ needs: 3 }), ['W'])[2]).toMatch(/your deck needs a card like this/);
+  });
+
+  test('names the mechanics a card has synergy with', () => {
+    const reasons = explainScore(breakdown({ synergy: 4.5, synergyMechanics: ['domain', 'kicker'] }), ['W']);
+
+    expect(reasons[2]).toBe('+4.5 for synergy with your pool (domain, kicker)');
+  });
+
+  test('ranks the pack best first, keeping pack order for ties', () => {
+    const pack = [{ id: 'a', score: 5 }, { id: 'b', score: 9 }, { id: 'c', score: 5 }];
+    const rows = rankSuggestions(pack, (card) => ({ total: card.score }));
+
+    expect(rows.map((row) => row.card.id)).toEqual(['b', 'a', 'c']);
+    expect(rows[0].breakdown.total).toBe(9);
+  });
+});
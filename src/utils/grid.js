@@ -0,0 +1,80 @@
+// src/utils/grid.js
+// Grid draft for 2-3 players: nine cards are laid out in a 3x3 grid and each player in
+// turn takes every card left in one row or column. Once everyone has taken a line, the
+// rest of the grid is discarded and the next grid is dealt, with the first pick rotating.
+
+export const GRID_SIZE = 3;
+export const GRID_CARD_COUNT = GRID_SIZE * GRID_SIZE;
+
+// Grids per draft: 18 grids of 2-3 lines give each player a pool of roughly 40 cards
+export const GRID_COUNT = 18;
+
+const indexes = Array.from({ length: GRID_SIZE }, (_, i) => i);
+
+// Cell positions (row-major) covered by a row or column
+export const getLineCells = (line) =>
+  line.type === 'row'
+    ? indexes.map((col) => line.index * GRID_SIZE + col)
+    : indexes.map((row) => row * GRID_SIZE + line.index);
+
+// Every row and column that still has a card, with the cards it would take
+export const getGridLines = (cells) =>
+  ['row', 'column']
+    .flatMap((type) => indexes.map((index) => ({ type, index })))
+    .map((line) => ({ ...line, cards: getLineCells(line).map((cell) => cells[cell]).filter(Boolean) }))
+    .filter((line) => line.cards.length > 0);
+
+// Lay out the next grid; the seat after the previous grid's first picker goes first
+export const openGrid = (grids, gridNumber, seatCount) => {
+  const cells = grids[gridNumber].slice(0, GRID_CARD_COUNT);
+  if (cells.length < GRID_CARD_COUNT) {
+    throw new Error(`Grid ${gridNumber + 1} has ${cells.length} cards but needs ${GRID_CARD_COUNT}.`);
+  }
+
+  return {
+    gridNumber,
+    cells,
+    order: Array.from({ length: seatCount }, (_, i) => (gridNumber + i) % seatCount),
+    turn: 0,
+  };
+};
+
+// Index of the seat that takes the next line
+export const getGridPicker = (state) => state.order[state.turn];
+
+// Take a row or column: returns the next state (a new grid once every seat has picked or
+// the grid is empty, null after the last grid) and the cards taken
+export const takeGridLine = (state, line, grids) => {
+  const lineCells = getLineCells(line);
+  const taken = lineCells.map((cell) => state.cells[cell]).filter(Boolean);
+  if (taken.length === 0) {
+    throw new Error(`The ${line.type} ${line.index + 1} has no cards left.`);
+  }
+
+  const cells = state.cells.map((card, cell) => (lineCells.includes(cell) ? null : card));
+  const turn = state.turn + 1;
+
+  if (turn < state.order.length && cells.some(Boolean)) {
+    return { state: { ...state, cells, turn }, taken };
+  }
+  if (state.gridNumber + 1 < grids.length) {
+    return { state: openGrid(grids, state.gridNumber + 1, state.order.length), taken };
+  }
+  return { state: null, taken };
+};
+
+// Bot choice: the row or column with the highest total card score
+export const chooseGridLine = (cells, scoreCard) => {
+  let best = null;
+  let bestScore = -Infinity;
+
+  getGridLines(cells).forEach((line) => {
+    const score = line.cards.reduce((sum, card) => sum + scoreCard(card), 0);
+    if (score > bestScore) {
+      best = line;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
@@ -0,0 +1,92 @@
+import {
+  GRID_CARD_COUNT,
+  getLineCells,
+  getGridLines,
+  openGrid,
+  getGridPicker,
+  takeGridLine,
+  chooseGridLine,
+} from './grid';
+
+describe('Grid Draft', () => {
+  const makeGrid = (gridNumber) =>
+    Array.from({ length: GRID_CARD_COUNT }, (_, i) => ({ id: `g${gridNumber}-${i}`, name: `Card ${gridNumber}-${i}`, score: i }));
+  const makeGrids = (count) => Array.from({ length: count }, (_, i) => makeGrid(i));
+  const ids = (cards) => cards.map((card) => card.id);
+
+  test('maps rows and columns to grid cells', () => {
+    expect(getLineCells({ type: 'row', index: 1 })).toEqual([3, 4, 5]);
+    expect(getLineCells({ type: 'column', index: 2 })).toEqual([2, 5, 8]);
+  });
+
+  test('lists only rows and columns that still have cards', () => {
+    const cells = makeGrid(0).map((card, i) => ([0, 1, 2].includes(i) ? null : card));
+    const lines = getGridLines(cells);
+
+    expect(lines).toHaveLength(5);
+    expect(lines.find((line) => line.type === 'column' && line.index === 0).cards).toHaveLength(2);
+  });
+
+  test('rejects a grid with fewer than nine cards', () => {
+    expect(() => openGrid([makeGrid(0).slice(0, 8)], 0, 2)).toThrow('Grid 1 has 8 cards but needs 9.');
+  });
+
+  test('rotates the first pick each grid', () => {
+    const grids = makeGrids(3);
+
+    expect(openGrid(grids, 0, 3).order).toEqual([0, 1, 2]);
+    expect(openGrid(grids, 1, 3).order).toEqual([1, 2, 0]);
+    expect(getGridPicker(openGrid(grids, 2, 2))).toBe(0);
+  });
+
+  describe('takeGridLine', () => {
+    test('takes the line and hands the grid to the next seat', () => {
+      const grids = makeGrids(2);
+      const { state, taken } = takeGridLine(openGrid(grids, 0, 2), { type: 'row', index: 0 }, grids);
+
+      expect(ids(taken)).toEqual(['g0-0', 'g0-1', 'g0-2']);
+      expect(state.cells.slice(0, 3)).toEqual([null, null, null]);
+      expect(getGridPicker(state)).toBe(1);
+    });
+
+    test('takes only the cards left in a crossing line', () => {
+      const grids = makeGrids(2);
+      const first = takeGridLine(openGrid(grids, 0, 3), { type: 'row', index: 0 }, grids);
+      const second = takeGridLine(first.state, { type: 'column', index: 0 }, grids);
+
+      expect(ids(second.taken)).toEqual(['g0-3', 'g0-6']);
+    });
+
+    test('discards the rest and deals the next grid once every seat has picked', () => {
+      const grids = makeGrids(2);
+      const first = takeGridLine(openGrid(grids, 0, 2), { type: 'row', index: 0 }, grids);
+      const { state } = takeGridLine(first.state, { type: 'row', index: 1 }, grids);
+
+      expect(state.gridNumber).toBe(1);
+      expect(ids(state.cells)).toEqual(ids(grids[1]));
+      expect(getGridPicker(state)).toBe(1);
+    });
+
+    test('returns no state after the last grid', () => {
+      const grids = makeGrids(1);
+      const first = takeGridLine(openGrid(grids, 0, 2), { type: 'row', index: 0 }, grids);
+
+      expect(takeGridLine(first.state, { type: 'row', index: 2 }, grids).state).toBeNull();
+    });
+
+    test('rejects an empty line', () => {
+      const grids = makeGrids(1);
+      const first = takeGridLine(openGrid(grids, 0, 2), { type: 'row', index: 0 }, grids);
+
+      expect(() => takeGridLine(first.state, { type: 'row', index: 0 }, grids)).toThrow('The row 1 has no cards left.');
+    });
+  });
+
+  test('bots take the line with the highest total score', () => {
+    const cells = makeGrid(0);
+
+    expect(chooseGridLine(cells, (card) => card.score)).toMatchObject({ type: 'row', index: 2 });
+    expect(chooseGridLine(cells, (card) => (card.id === 'g0-4' ? 100 : 0))).toMatchObject({ type: 'row', index: 1 });
+    expect(chooseGridLine(Array(9).fill(null), () => 0)).toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+// src/utils/pickModel.js
+// Learned pick model: a multinomial logistic regression over the cards in a pack. Each card
+// gets a feature vector (its 17lands win rates and how it fits the drafter's colors), the
+// model scores it as a weighted sum, and a softmax over the pack gives each card's chance of
+// being picked. Weights are fitted offline from 17lands-style pick logs by
+// scripts/trainPickModel.mjs and shipped as public/data/sets/<code>/pick_model.json.
+// The trainer also loads this file in Node, as an ES module; scripts/trainPickModel.mjs notes
+// the Node version that needs.
+
+export const PICK_MODEL_VERSION = 1;
+
+export const PICK_MODEL_FEATURES = [
+  'gihwr',
+  'ohwr',
+  'gdwr',
+  'noStats',
+  'colorMatches',
+  'allColorsMatch',
+  'colorless',
+];
+
+const COLORS = ['W', 'U', 'B', 'R', 'G'];
+
+// Win rates enter as tens of points above or below 50%, and 0 when missing
+const winRateFeature = (value) => (value ? (value - 50) / 10 : 0);
+
+// Card colors as the ratings list them, falling back to the card's own
+export const getCardColors = (card, stats = {}) =>
+  (stats.color ? stats.color.split('') : card.colors || []).filter((color) => COLORS.includes(color));
+
+// Features for one card in a pack. `stats` is the card's ratings row and `drafterColors` the
+// colors the drafter is in.
+export const getPickFeatures = (cardColors, stats = {}, drafterColors = []) => {
+  const matches = cardColors.filter((color) => drafterColors.includes(color)).length;
+  return {
+    gihwr: winRateFeature(stats.gihwr),
+    ohwr: winRateFeature(stats.ohwr),
+    gdwr: winRateFeature(stats.gdwr),
+    noStats: stats.gihwr ? 0 : 1,
+    colorMatches: matches,
+    allColorsMatch: cardColors.length > 0 && matches === cardColors.length ? 1 : 0,
+    colorless: cardColors.length === 0 ? 1 : 0,
+  };
+};
+
+export const scoreWithPickModel = (model, features) =>
+  PICK_MODEL_FEATURES.reduce((sum, name) => sum + (model.weights[name] || 0) * features[name], 0);
+
+// Check a loaded pick_model.json and return it, or throw if this app can't use it
+export const parsePickModel = (json) => {
+  if (!json || json.version !== PICK_MODEL_VERSION || typeof json.weights !== 'object') {
+    throw new Error(`Unsupported pick model: expected version ${PICK_MODEL_VERSION} with weights.`);
+  }
+  return json;
+};
+
+// The drafter's colors in a pick log row: the two colors with the most cards in the pool
+export const getPoolColors = (poolNames, ratings) => {
+  const counts = {};
+  poolNames.forEach((name) => {
+    getCardColors({}, ratings[name]).forEach((color) => {
+      counts[color] = (counts[color] || 0) + 1;
+    });
+  });
+  return Object.keys(counts)
+    .sort((a, b) => counts[b] - counts[a])
+    .slice(0, 2);
+};
+
+// Turn one row of a 17lands pick log (`pick`, `pack_card_<name>` and `pool_<name>` columns)
+// into a training event: the features of every card in the pack and the index of the pick.
+// Returns null for rows whose pick is not in the pack.
+export const getPickEvent = (row, ratings) => {
+  const names = (prefix) =>
+    Object.keys(row)
+      .filter((key) => key.startsWith(prefix) && Number(row[key]) > 0)
+      .flatMap((key) => Array(Number(row[key])).fill(key.slice(prefix.length)));
+
+  const pack = [...new Set(names('pack_card_'))];
+  const picked = pack.indexOf(row.pick);
+  if (picked < 0 || pack.length < 2) return null;
+
+  const drafterColors = getPoolColors(names('pool_'), ratings);
+  return {
+    options: pack.map((name) => getPickFeatures(getCardColors({}, ratings[name]), ratings[name], drafterColors)),
+    picked,
+  };
+};
+
+const softmax = (logits) => {
+  const max = Math.max(...logits);
+  const exps = logits.map((logit) => Math.exp(logit - max));
+  const total = exps.reduce((sum, value) => sum + value, 0);
+  return exps.map((value) => value / total);
+};
+
+// Average negative log-likelihood of the picks under these weights (lower is better)
+export const getPickLogLoss = (events, weights) => {
+  const model = { weights };
+  const total = events.reduce((sum, { options, picked }) => {
+    const probabilities = softmax(options.map((features) => scoreWithPickModel(model, features)));
+    return sum - Math.log(Math.max(probabilities[picked], 1e-12));
+  }, 0);
+  return total / (events.length || 1);
+};
+
+// Fit the weights by stochastic gradient descent on the softmax log-likelihood, with a small
+// L2 penalty to keep rarely seen features near zero
+export const trainPickModel = (events, { epochs = 20, learningRate = 0.05, l2 = 0.001 } = {}) => {
+  const weights = Object.fromEntries(PICK_MODEL_FEATURES.map((name) => [name, 0]));
+  const model = { weights };
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    events.forEach(({ options, picked }) => {
+      const probabilities = softmax(options.map((features) => scoreWithPickModel(model, features)));
+      PICK_MODEL_FEATURES.forEach((name) => {
+        const expected = options.reduce((sum, features, i) => sum + probabilities[i] * features[name], 0);
+        const gradient = options[picked][name] - expected;
+        weights[name] += learningRate * (gradient - l2 * weights[name]);
+      });
+    });
+  }
+
+  return weights;
+};
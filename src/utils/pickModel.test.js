@@ -0,0 +1,89 @@
+import {
+  PICK_MODEL_FEATURES,
+  getCardColors,
+  getPickFeatures,
+  scoreWithPickModel,
+  parsePickModel,
+  getPoolColors,
+  getPickEvent,
+  getPickLogLoss,
+  trainPickModel,
+} from './pickModel';
+
+describe('Pick Model', () => {
+  const ratings = {
+    Bolt: { gihwr: 60, ohwr: 58, gdwr: 59, color: 'R' },
+    Shock: { gihwr: 52, ohwr: 50, gdwr: 51, color: 'R' },
+    Divination: { gihwr: 48, ohwr: 47, gdwr: 49, color: 'U' },
+    Rock: { gihwr: 50, ohwr: 50, gdwr: 50, color: '' },
+  };
+
+  test('builds features from win rates and color fit', () => {
+    expect(getPickFeatures(['R'], ratings.Bolt, ['R', 'G'])).toEqual({
+      gihwr: 1,
+      ohwr: 0.8,
+      gdwr: 0.9,
+      noStats: 0,
+      colorMatches: 1,
+      allColorsMatch: 1,
+      colorless: 0,
+    });
+    expect(getPickFeatures([], undefined, [])).toMatchObject({ gihwr: 0, noStats: 1, colorless: 1, allColorsMatch: 0 });
+    expect(getPickFeatures(['W', 'U'], {}, ['U'])).toMatchObject({ colorMatches: 1, allColorsMatch: 0 });
+  });
+
+  test('takes card colors from the ratings, then from the card', () => {
+    expect(getCardColors({ colors: ['G'] }, ratings.Bolt)).toEqual(['R']);
+    expect(getCardColors({ colors: ['G'] }, {})).toEqual(['G']);
+  });
+
+  test('scores a card as the weighted sum of its features', () => {
+    const model = { weights: { gihwr: 2, colorMatches: 3 } };
+
+    expect(scoreWithPickModel(model, getPickFeatures(['R'], ratings.Bolt, ['R']))).toBe(5);
+  });
+
+  test('accepts only models of the supported version', () => {
+    const model = { version: 1, weights: { gihwr: 1 } };
+
+    expect(parsePickModel(model)).toBe(model);
+    expect(() => parsePickModel({ version: 2, weights: {} })).toThrow('Unsupported pick model');
+    expect(() => parsePickModel(null)).toThrow('Unsupported pick model');
+  });
+
+  test('reads the drafter colors from the pool', () => {
+    expect(getPoolColors(['Bolt', 'Shock', 'Divination', 'Rock'], ratings)).toEqual(['R', 'U']);
+  });
+
+  test('turns a 17lands pick row into a training event', () => {
+    const row = {
+      pick: 'Shock',
+      pack_card_Bolt: '0',
+      pack_card_Shock: '1',
+      pack_card_Divination: '1',
+      pool_Bolt: '2',
+      pool_Divination: '0',
+    };
+    const event = getPickEvent(row, ratings);
+
+    expect(event.options).toHaveLength(2);
+    expect(event.picked).toBe(0);
+    expect(event.options[0].colorMatches).toBe(1);
+    expect(getPickEvent({ ...row, pick: 'Bolt' }, ratings)).toBeNull();
+  });
+
+  test('learns to favor what drafters take', () => {
+    // Drafters always take the higher win rate, and take on-color cards over equal ones
+    const events = [
+      { options: [getPickFeatures(['R'], ratings.Bolt, []), getPickFeatures(['R'], ratings.Shock, [])], picked: 0 },
+      { options: [getPickFeatures(['U'], ratings.Divination, []), getPickFeatures(['R'], ratings.Bolt, [])], picked: 1 },
+      { options: [getPickFeatures(['U'], ratings.Rock, ['R']), getPickFeatures(['R'], ratings.Rock, ['R'])], picked: 1 },
+    ];
+    const untrained = Object.fromEntries(PICK_MODEL_FEATURES.map((name) => [name, 0]));
+    const weights = trainPickModel(events, { epochs: 50 });
+
+    expect(weights.gihwr).toBeGreaterThan(0);
+    expect(weights.colorMatches).toBeGreaterThan(0);
+    expect(getPickLogLoss(events, weights)).toBeLessThan(getPickLogLoss(events, untrained));
+  });
+});
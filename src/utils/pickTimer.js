@@ -0,0 +1,20 @@
+// src/utils/pickTimer.js
+// Pick timer in the style of MTG Arena: the clock starts long for a full pack and
+// shrinks with every card taken out of it
+
+export const PICK_TIMER_MODES = ['off', 'auto', 'punishing'];
+
+export const DEFAULT_SECONDS_PER_CARD = 5;
+
+// Even a one-card pack gets a moment to look at it
+export const MIN_PICK_SECONDS = 5;
+
+// Seconds allowed for a pick from a pack with `cardsLeft` cards
+export const getPickSeconds = (cardsLeft, secondsPerCard = DEFAULT_SECONDS_PER_CARD) =>
+  Math.max(MIN_PICK_SECONDS, cardsLeft * secondsPerCard);
+
+// 75 -> "1:15"
+export const formatSeconds = (seconds) => {
+  const whole = Math.max(0, Math.ceil(seconds));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
@@ -0,0 +1,20 @@
+import { getPickSeconds, formatSeconds, MIN_PICK_SECONDS } from './pickTimer';
+
+describe('Pick Timer', () => {
+  test('gives more time for fuller packs', () => {
+    expect(getPickSeconds(15)).toBe(75);
+    expect(getPickSeconds(8)).toBe(40);
+    expect(getPickSeconds(14, 3)).toBe(42);
+  });
+
+  test('never drops below the minimum', () => {
+    expect(getPickSeconds(1)).toBe(MIN_PICK_SECONDS);
+    expect(getPickSeconds(0, 10)).toBe(MIN_PICK_SECONDS);
+  });
+
+  test('formats seconds as m:ss', () => {
+    expect(formatSeconds(75)).toBe('1:15');
+    expect(formatSeconds(9)).toBe('0:09');
+    expect(formatSeconds(-3)).toBe('0:00');
+  });
+});
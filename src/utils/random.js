@@ -0,0 +1,46 @@
+// src/utils/random.js
+// Seeded randomness for the draft: the same seed, set and settings always deal the same pod
+
+// Hash a seed string to a 32-bit integer (cyrb53-style mixing, truncated)
+const hashSeed = (seed) => {
+  const text = String(seed);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  return h1 >>> 0;
+};
+
+// Mulberry32 PRNG: returns a function that yields floats in [0, 1), like Math.random
+export const createRng = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// A fresh, human-typable seed for a new draft
+export const generateSeed = () => Math.random().toString(36).slice(2, 10);
+
+// Integer in [0, max)
+export const randomInt = (max, rng = Math.random) => Math.floor(rng() * max);
+
+export const pickRandom = (array, rng = Math.random) =>
+  array.length > 0 ? array[randomInt(array.length, rng)] : null;
+
+// Unbiased Fisher–Yates shuffle; returns a new array
+export const shuffle = (array, rng = Math.random) => {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1, rng);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
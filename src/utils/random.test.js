@@ -0,0 +1,83 @@
+import { createRng, generateSeed, randomInt, pickRandom, shuffle } from './random';
+
+describe('Seeded Randomness', () => {
+  describe('createRng', () => {
+    test('yields floats in [0, 1)', () => {
+      const rng = createRng('dmu-pod');
+      for (let i = 0; i < 1000; i++) {
+        const value = rng();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    test('repeats the same sequence for the same seed', () => {
+      const a = createRng('team-night');
+      const b = createRng('team-night');
+
+      expect(Array.from({ length: 20 }, a)).toEqual(Array.from({ length: 20 }, b));
+    });
+
+    test('gives different sequences for different seeds', () => {
+      const a = createRng('seed-a');
+      const b = createRng('seed-b');
+
+      expect(Array.from({ length: 5 }, a)).not.toEqual(Array.from({ length: 5 }, b));
+    });
+
+    test('accepts numeric seeds', () => {
+      expect(createRng(42)()).toBe(createRng('42')());
+    });
+  });
+
+  describe('shuffle', () => {
+    test('keeps every element and leaves the input untouched', () => {
+      const input = [1, 2, 3, 4, 5, 6];
+      const result = shuffle(input, createRng('shuffle'));
+
+      expect(result).not.toBe(input);
+      expect(input).toEqual([1, 2, 3, 4, 5, 6]);
+      expect([...result].sort()).toEqual(input);
+    });
+
+    test('is reproducible with the same seed', () => {
+      const input = Array.from({ length: 15 }, (_, i) => i);
+
+      expect(shuffle(input, createRng('pack'))).toEqual(shuffle(input, createRng('pack')));
+    });
+
+    test('puts each element in each position about equally often', () => {
+      const rng = createRng('fairness');
+      const counts = [0, 0, 0];
+      for (let i = 0; i < 3000; i++) {
+        counts[shuffle(['a', 'b', 'c'], rng).indexOf('a')]++;
+      }
+
+      counts.forEach((count) => {
+        expect(count).toBeGreaterThan(900);
+        expect(count).toBeLessThan(1100);
+      });
+    });
+  });
+
+  describe('helpers', () => {
+    test('randomInt stays in range', () => {
+      const rng = createRng('ints');
+      for (let i = 0; i < 100; i++) {
+        const value = randomInt(7, rng);
+        expect(Number.isInteger(value)).toBe(true);
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(7);
+      }
+    });
+
+    test('pickRandom returns null for an empty array', () => {
+      expect(pickRandom([], createRng('empty'))).toBeNull();
+      expect(['W', 'U']).toContain(pickRandom(['W', 'U'], createRng('colors')));
+    });
+
+    test('generateSeed makes short alphanumeric seeds', () => {
+      expect(generateSeed()).toMatch(/^[a-z0-9]+$/);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// src/utils/ratings.js
+// 17lands-style ratings.csv: per-card win rates, plus pick-position columns when the
+// export has them
+import Papa from 'papaparse';
+
+// Bot scoring modes: by win rate (GP WR and friends) or by where humans take the card (ATA)
+export const PICK_SCORING_MODES = ['winRate', 'takenAt'];
+
+// Taken-at scoring: a card humans take first pick scores (TAKEN_AT_LAST - 1) * weight, a card
+// taken 15th or later scores nothing. The weight keeps the spread close to the win-rate
+// score's, so color weighting means the same in both modes.
+const TAKEN_AT_LAST = 15;
+const TAKEN_AT_WEIGHT = 3.5;
+
+const parseOptionalFloat = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+};
+
+// Parse a ratings.csv into stats keyed by card name. ALSA (average last seen at) and ATA
+// (average taken at) are kept when the export includes them.
+export const parseRatingsCsv = (csvText) =>
+  new Promise((resolve, reject) => {
+    Papa.parse(csvText, {
+      header: true,
+      complete: (results) => {
+        const stats = {};
+        results.data.forEach((row) => {
+          if (row.Name) {
+            stats[row.Name] = {
+              gihwr: parseFloat(row['GP WR'] || '0'),
+              ohwr: parseFloat(row['OH WR'] || '0'),
+              gdwr: parseFloat(row['GD WR'] || '0'),
+              color: row.Color || '',
+            };
+            const alsa = parseOptionalFloat(row.ALSA);
+            const ata = parseOptionalFloat(row.ATA);
+            if (alsa !== undefined) stats[row.Name].alsa = alsa;
+            if (ata !== undefined) stats[row.Name].ata = ata;
+          }
+        });
+        resolve(stats);
+      },
+      error: reject,
+    });
+  });
+
+// Score for win-rate mode: GIH WR weighted highest, then OH WR and GD WR. A blank OH or GD WR
+// counts as the GIH WR, so every row (and every estimate) scores on the same scale.
+export const getWinRateScore = ({ gihwr, ohwr, gdwr }) => gihwr * 1.5 + (ohwr || gihwr) * 0.8 + (gdwr || gihwr) * 0.7;
+
+// Score for taken-at mode: the earlier humans take a card, the higher it scores
+export const getTakenAtScore = (ata) => Math.max(0, TAKEN_AT_LAST - ata) * TAKEN_AT_WEIGHT;
+
+// Win rates (best first) and ATAs (earliest first) of a set's ratings, cached per ratings table
+const takenAtScales = new WeakMap();
+const getTakenAtScale = (stats) => {
+  if (!takenAtScales.has(stats)) {
+    const rows = Object.values(stats);
+    takenAtScales.set(stats, {
+      winRates: rows.map((row) => row.gihwr).filter(Boolean).sort((a, b) => b - a),
+      atas: rows.map((row) => row.ata).filter((ata) => ata > 0).sort((a, b) => a - b),
+    });
+  }
+  return takenAtScales.get(stats);
+};
+
+// ATA for a card the export has none for: the ATA at the same rank among the set's ATAs as the
+// card's win rate holds among its win rates. Null when the set has no ATAs to rank against.
+export const getEquivalentAta = (winRate, stats) => {
+  const { winRates, atas } = getTakenAtScale(stats);
+  if (atas.length === 0) return null;
+  const better = winRates.filter((rate) => rate > winRate).length;
+  const share = winRates.length > 0 ? better / winRates.length : 1;
+  return atas[Math.round(share * (atas.length - 1))];
+};
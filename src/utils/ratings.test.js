@@ -0,0 +1,59 @@
+import { parseRatingsCsv, getTakenAtScore, getEquivalentAta, getWinRateScore } from './ratings';
+
+describe('Ratings', () => {
+  test('parses win rates keyed by card name', async () => {
+    const csv = 'Name,Color,GP WR,OH WR,GD WR\nLightning Bolt,R,62.5%,60.1%,58.3%\n';
+    const stats = await parseRatingsCsv(csv);
+
+    expect(stats['Lightning Bolt']).toEqual({ gihwr: 62.5, ohwr: 60.1, gdwr: 58.3, color: 'R' });
+  });
+
+  test('keeps ALSA and ATA when the export has them', async () => {
+    const csv = 'Name,Color,ALSA,ATA,GP WR\nLightning Bolt,R,3.1,2.4,62.5%\nShock,R,,,55.0%\n';
+    const stats = await parseRatingsCsv(csv);
+
+    expect(stats['Lightning Bolt'].alsa).toBe(3.1);
+    expect(stats['Lightning Bolt'].ata).toBe(2.4);
+    expect(stats.Shock).not.toHaveProperty('ata');
+    expect(stats.Shock).not.toHaveProperty('alsa');
+  });
+
+  test('skips rows without a name', async () => {
+    const stats = await parseRatingsCsv('Name,GP WR\n,50%\nShock,55%\n');
+
+    expect(Object.keys(stats)).toEqual(['Shock']);
+  });
+
+  test('blank OH and GD win rates count as the GIH win rate', () => {
+    expect(getWinRateScore({ gihwr: 60, ohwr: 58, gdwr: 62 })).toBeCloseTo(60 * 1.5 + 58 * 0.8 + 62 * 0.7);
+    expect(getWinRateScore({ gihwr: 53, ohwr: NaN, gdwr: 0 })).toBeCloseTo(53 * 3);
+    expect(getWinRateScore({ gihwr: 53 })).toBeCloseTo(53 * 3);
+  });
+
+  test('cards taken earlier score higher in taken-at mode', () => {
+    expect(getTakenAtScore(1.5)).toBeGreaterThan(getTakenAtScore(6));
+    expect(getTakenAtScore(6)).toBeGreaterThan(getTakenAtScore(12));
+    expect(getTakenAtScore(15)).toBe(0);
+    expect(getTakenAtScore(20)).toBe(0);
+  });
+
+  test('cards without an ATA take the ATA at their win-rate rank', () => {
+    const stats = {
+      Bomb: { gihwr: 62, ata: 1.5 },
+      Removal: { gihwr: 58, ata: 4 },
+      Filler: { gihwr: 52, ata: 9 },
+      Chaff: { gihwr: 47, ata: 13 },
+      Unpicked: { gihwr: 57 },
+    };
+
+    expect(getEquivalentAta(57, stats)).toBe(4);
+    expect(getEquivalentAta(63, stats)).toBe(1.5);
+    expect(getEquivalentAta(40, stats)).toBe(13);
+    expect(getTakenAtScore(getEquivalentAta(57, stats))).toBeLessThan(getTakenAtScore(stats.Bomb.ata));
+    expect(getTakenAtScore(getEquivalentAta(57, stats))).toBeGreaterThan(getTakenAtScore(stats.Filler.ata));
+  });
+
+  test('sets without any ATA have no equivalent ATA', () => {
+    expect(getEquivalentAta(55, { Shock: { gihwr: 55 } })).toBeNull();
+  });
+});
@@ -0,0 +1,61 @@
+// src/utils/rochester.js
+// Rochester draft turn model: one pack at a time is laid face-up for the whole pod,
+// seats pick from it one by one, and the pick order snakes back at the end of each lap.
+
+// Round 1 goes left (up the seat list), round 2 right, round 3 left again
+export const getRoundDirection = (round) => (round % 2 === 1 ? 1 : -1);
+
+const wrapSeat = (seat, seatCount) => ((seat % seatCount) + seatCount) % seatCount;
+
+// Seat order for one face-up pack: opener around the table, then back the other way
+// (the last seat picks twice in a row), until every card in the pack is taken
+export const getSnakeOrder = (seatCount, pickCount, opener, direction) => {
+  const lap = Array.from({ length: seatCount }, (_, i) => wrapSeat(opener + direction * i, seatCount));
+  const order = [];
+  let forward = true;
+
+  while (order.length < pickCount) {
+    order.push(...(forward ? lap : [...lap].reverse()));
+    forward = !forward;
+  }
+
+  return order.slice(0, pickCount);
+};
+
+// Lay out the next pack: within a round each seat opens one of its packs in turn,
+// starting with seat 0 and moving in the round's direction
+export const openRochesterPack = (players, round, packNumber) => {
+  const direction = getRoundDirection(round);
+  const opener = wrapSeat(direction * packNumber, players.length);
+  const pack = [...players[opener].packs[round - 1]];
+
+  return {
+    round,
+    packNumber,
+    opener,
+    pack,
+    order: getSnakeOrder(players.length, pack.length, opener, direction),
+    turn: 0,
+  };
+};
+
+// Index of the seat that picks next from the face-up pack
+export const getActiveSeat = (state) => state.order[state.turn];
+
+// Remove the picked card and hand the turn on. When the pack is empty, the next seat
+// opens a pack; after every seat has opened one the round ends. Returns null once
+// the last round is over.
+export const advanceRochester = (state, card, players, rounds) => {
+  const pack = state.pack.filter((c) => c.id !== card.id);
+  if (pack.length > 0) {
+    return { ...state, pack, turn: state.turn + 1 };
+  }
+
+  if (state.packNumber + 1 < players.length) {
+    return openRochesterPack(players, state.round, state.packNumber + 1);
+  }
+  if (state.round < rounds) {
+    return openRochesterPack(players, state.round + 1, 0);
+  }
+  return null;
+};
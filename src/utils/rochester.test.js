@@ -0,0 +1,115 @@
+import { getRoundDirection, getSnakeOrder, openRochesterPack, getActiveSeat, advanceRochester } from './rochester';
+
+describe('Rochester Draft', () => {
+  const makePack = (seat, round, size) =>
+    Array.from({ length: size }, (_, i) => ({ id: `s${seat}-r${round}-${i}`, name: `Card ${seat}-${round}-${i}` }));
+
+  const makePlayers = (seatCount, packSize) =>
+    Array.from({ length: seatCount }, (_, seat) => ({
+      id: seat === 0 ? 'human' : `AI_${seat}`,
+      packs: [1, 2, 3].map((round) => makePack(seat, round, packSize)),
+    }));
+
+  describe('getSnakeOrder', () => {
+    test('goes around the table, then snakes back with the last seat picking twice', () => {
+      expect(getSnakeOrder(4, 10, 0, 1)).toEqual([0, 1, 2, 3, 3, 2, 1, 0, 0, 1]);
+    });
+
+    test('starts from the opener and wraps around', () => {
+      expect(getSnakeOrder(4, 5, 2, 1)).toEqual([2, 3, 0, 1, 1]);
+    });
+
+    test('runs the other way in right-passing rounds', () => {
+      expect(getSnakeOrder(4, 5, 0, -1)).toEqual([0, 3, 2, 1, 1]);
+    });
+
+    test('gives every card in a 15-card pack to an 8-seat pod', () => {
+      const order = getSnakeOrder(8, 15, 0, 1);
+
+      expect(order).toHaveLength(15);
+      expect(order.slice(7, 9)).toEqual([7, 7]);
+    });
+  });
+
+  describe('getRoundDirection', () => {
+    test('alternates left, right, left', () => {
+      expect([1, 2, 3].map(getRoundDirection)).toEqual([1, -1, 1]);
+    });
+  });
+
+  describe('openRochesterPack', () => {
+    test('lays out the opener pack for the round', () => {
+      const players = makePlayers(4, 6);
+      const state = openRochesterPack(players, 1, 0);
+
+      expect(state.opener).toBe(0);
+      expect(state.pack).toEqual(players[0].packs[0]);
+      expect(state.pack).not.toBe(players[0].packs[0]);
+      expect(getActiveSeat(state)).toBe(0);
+    });
+
+    test('moves the opener in the round direction', () => {
+      const players = makePlayers(4, 6);
+
+      expect(openRochesterPack(players, 1, 1).opener).toBe(1);
+      expect(openRochesterPack(players, 2, 1).opener).toBe(3);
+      expect(openRochesterPack(players, 2, 1).pack).toEqual(players[3].packs[1]);
+    });
+  });
+
+  describe('advanceRochester', () => {
+    test('removes the pick and hands the turn to the next seat', () => {
+      const players = makePlayers(4, 6);
+      const state = openRochesterPack(players, 1, 0);
+      const next = advanceRochester(state, state.pack[2], players, 3);
+
+      expect(next.pack).toHaveLength(5);
+      expect(next.pack.map((c) => c.id)).not.toContain(state.pack[2].id);
+      expect(getActiveSeat(next)).toBe(1);
+    });
+
+    test('opens the next seat pack when the face-up pack is empty', () => {
+      const players = makePlayers(2, 1);
+      const state = openRochesterPack(players, 1, 0);
+      const next = advanceRochester(state, state.pack[0], players, 3);
+
+      expect(next.packNumber).toBe(1);
+      expect(next.opener).toBe(1);
+      expect(getActiveSeat(next)).toBe(1);
+    });
+
+    test('moves to the next round after every seat has opened a pack', () => {
+      const players = makePlayers(2, 1);
+      const state = openRochesterPack(players, 1, 1);
+      const next = advanceRochester(state, state.pack[0], players, 3);
+
+      expect(next.round).toBe(2);
+      expect(next.packNumber).toBe(0);
+      expect(next.pack).toEqual(players[0].packs[1]);
+    });
+
+    test('returns null after the last pick of the last round', () => {
+      const players = makePlayers(2, 1);
+      const state = openRochesterPack(players, 3, 1);
+
+      expect(advanceRochester(state, state.pack[0], players, 3)).toBeNull();
+    });
+
+    test('deals every card of every pack over a full draft', () => {
+      const players = makePlayers(3, 5);
+      const picked = [];
+      let state = openRochesterPack(players, 1, 0);
+
+      while (state) {
+        const card = state.pack[0];
+        picked.push({ seat: getActiveSeat(state), card });
+        state = advanceRochester(state, card, players, 3);
+      }
+
+      expect(picked).toHaveLength(3 * 3 * 5);
+      [0, 1, 2].forEach((seat) => {
+        expect(picked.filter((p) => p.seat === seat)).toHaveLength(15);
+      });
+    });
+  });
+});
@@ -0,0 +1,34 @@
+// src/utils/setPlan.js
+// Which set each pack opens from in mixed-set drafts. A plan either gives every round its
+// own set code ({ roundSets }) or, for chaos drafts, every pack a random one ({ packSets }).
+import { pickRandom } from './random';
+
+// One random set per pack, drawn from the set codes on offer
+export const createChaosPlan = (setCodes, packCount, rng = Math.random) => {
+  if (setCodes.length === 0) {
+    throw new Error('No sets available for a chaos draft.');
+  }
+  return { packSets: Array.from({ length: packCount }, () => pickRandom(setCodes, rng)) };
+};
+
+// Set code for pack `packIndex` in deal order (seat by seat, `rounds` packs per seat).
+// Rounds past the end of `roundSets` repeat its last set, and chaos plans wrap around,
+// so a plan still deals after the pod settings change.
+export const getPackSet = (plan, packIndex, rounds) => {
+  if (plan.packSets) {
+    return plan.packSets[packIndex % plan.packSets.length];
+  }
+  const round = packIndex % rounds;
+  return plan.roundSets[Math.min(round, plan.roundSets.length - 1)];
+};
+
+// Every set code a plan needs loaded
+export const getPlanSets = (plan) => [...new Set(plan.packSets || plan.roundSets)];
+
+// Cut every seat's pack in each round to the round's smallest pack (`seatPacks[seat][round]`).
+// A chaos round can mix 14-card Play Boosters with 15-card Draft Boosters, and a round only
+// ends once every pack is empty.
+export const evenOutRounds = (seatPacks) =>
+  seatPacks.map((packs) =>
+    packs.map((pack, round) => pack.slice(0, Math.min(...seatPacks.map((seat) => seat[round].length))))
+  );
@@ -0,0 +1,51 @@
+import { createChaosPlan, getPackSet, getPlanSets, evenOutRounds } from './setPlan';
+import { createRng } from './random';
+
+describe('Set Plans', () => {
+  test('per-round plans open every seat\'s round-N pack from the round\'s set', () => {
+    const plan = { roundSets: ['dmu', 'bro', 'bro'] };
+
+    // Deal order is seat by seat, three packs each
+    expect([0, 1, 2, 3, 4, 5].map((index) => getPackSet(plan, index, 3))).toEqual(['dmu', 'bro', 'bro', 'dmu', 'bro', 'bro']);
+  });
+
+  test('repeats the last round set when there are more rounds than sets', () => {
+    expect(getPackSet({ roundSets: ['dmu', 'bro'] }, 3, 4)).toBe('bro');
+  });
+
+  test('chaos plans give every pack a set from the list', () => {
+    const plan = createChaosPlan(['dmu', 'bro', 'one', 'mom'], 24, createRng('chaos'));
+
+    expect(plan.packSets).toHaveLength(24);
+    plan.packSets.forEach((code) => expect(['dmu', 'bro', 'one', 'mom']).toContain(code));
+    expect(new Set(plan.packSets).size).toBeGreaterThan(1);
+  });
+
+  test('chaos plans follow the seed and wrap around for extra packs', () => {
+    const a = createChaosPlan(['dmu', 'bro', 'one'], 6, createRng('same'));
+    const b = createChaosPlan(['dmu', 'bro', 'one'], 6, createRng('same'));
+
+    expect(a).toEqual(b);
+    expect(getPackSet(a, 7, 3)).toBe(a.packSets[1]);
+  });
+
+  test('rejects a chaos draft with no sets', () => {
+    expect(() => createChaosPlan([], 3)).toThrow('No sets available for a chaos draft.');
+  });
+
+  test('lists each set a plan needs once', () => {
+    expect(getPlanSets({ roundSets: ['dmu', 'bro', 'dmu'] })).toEqual(['dmu', 'bro']);
+    expect(getPlanSets({ packSets: ['one', 'one'] })).toEqual(['one']);
+  });
+
+  test('cuts every pack in a round to the round\'s smallest pack', () => {
+    const pack = (size) => Array.from({ length: size }, (_, i) => `card-${i}`);
+    const even = evenOutRounds([
+      [pack(15), pack(15)],
+      [pack(14), pack(15)],
+    ]);
+
+    expect(even.map((packs) => packs.map((p) => p.length))).toEqual([[14, 15], [14, 15]]);
+    expect(even[0][0]).toEqual(pack(14));
+  });
+});
@@ -0,0 +1,56 @@
+// src/utils/signals.js
+// Reading signals: good cards of a color still in a pack late mean the seats upstream are
+// not taking that color. Each bot keeps running signal totals per color and leans its
+// colors toward the open ones.
+
+export const COLORS = ['W', 'U', 'B', 'R', 'G'];
+
+// Card-count equivalent of a fully open (or fully cut) color when a bot picks its colors
+export const SIGNAL_LEAN = 2;
+
+// Add what a passed pack says about each color. `picksTaken` is how many cards were taken
+// from the pack before this seat saw it, and `rateCard` is a color-blind card score.
+// A first-pick pack says nothing; later, each card adds its color's share weighted by how
+// late it is and where it falls between the worst (0) and best (1) card in the pack.
+// Scores sit far from zero in win-rate mode, so a plain ratio to the best card would rate
+// every card nearly alike; a pack of equal cards counts them all as its best.
+export const recordSignals = (signals = {}, pack, picksTaken, rateCard) => {
+  if (picksTaken <= 0 || pack.length === 0) return signals;
+
+  const lateness = picksTaken / (picksTaken + pack.length);
+  const ratings = pack.map(rateCard);
+  const worst = Math.min(...ratings);
+  const range = Math.max(...ratings) - worst;
+
+  const next = { ...signals };
+  pack.forEach((card, i) => {
+    const colors = (card.colors || []).filter((color) => COLORS.includes(color));
+    const quality = range > 0 ? (ratings[i] - worst) / range : 1;
+    colors.forEach((color) => {
+      next[color] = (next[color] || 0) + (lateness * quality * quality) / colors.length;
+    });
+  });
+  return next;
+};
+
+// Share of all signal seen so far that points at this color (0 before any signal)
+export const getSignalShare = (signals = {}, color) => {
+  const total = COLORS.reduce((sum, c) => sum + (signals[c] || 0), 0);
+  return total > 0 ? (signals[color] || 0) / total : 0;
+};
+
+// How open a color looks: 1 for an even share, above 1 for flowing, below for cut.
+// Neutral until the seat has seen a signal.
+export const getColorOpenness = (signals = {}, color) => {
+  const total = COLORS.reduce((sum, c) => sum + (signals[c] || 0), 0);
+  return total > 0 ? getSignalShare(signals, color) * COLORS.length : 1;
+};
+
+// Shift drafted-card color counts toward open colors before a bot settles on its colors
+export const leanTowardOpenColors = (colorCounts, signals) => {
+  const leaned = { ...colorCounts };
+  COLORS.forEach((color) => {
+    leaned[color] = (leaned[color] || 0) + SIGNAL_LEAN * (getColorOpenness(signals, color) - 1);
+  });
+  return leaned;
+};
@@ -0,0 +1,68 @@
+import { recordSignals, getSignalShare, getColorOpenness, leanTowardOpenColors, SIGNAL_LEAN } from './signals';
+import { getWinRateScore } from './ratings';
+
+describe('Signals', () => {
+  const card = (id, colors, rating) => ({ id, name: id, colors, rating });
+  const rateCard = (c) => c.rating;
+
+  test('a first-pick pack says nothing about what is open', () => {
+    const pack = [card('a', ['U'], 10), card('b', ['R'], 5)];
+
+    expect(recordSignals({}, pack, 0, rateCard)).toEqual({});
+  });
+
+  test('strong cards still there late signal their color', () => {
+    const pack = [card('bomb', ['U'], 10), card('filler', ['R'], 2)];
+    const signals = recordSignals({}, pack, 8, rateCard);
+
+    expect(signals.U).toBeGreaterThan(signals.R * 10);
+    expect(getColorOpenness(signals, 'U')).toBeGreaterThan(1);
+    expect(getColorOpenness(signals, 'G')).toBe(0);
+  });
+
+  test('win-rate scores, all far above zero, still separate strong cards from weak ones', () => {
+    const scored = (id, colors, gihwr) => card(id, colors, getWinRateScore({ gihwr }));
+    const pack = [scored('bomb', ['U'], 62), scored('playable', ['B'], 56), scored('filler', ['R'], 50)];
+    const signals = recordSignals({}, pack, 8, rateCard);
+
+    expect(signals.U).toBeGreaterThan(signals.B * 3);
+    expect(signals.R).toBe(0);
+  });
+
+  test('the same card signals more strongly the later it is seen', () => {
+    const pack = [card('bomb', ['U'], 10), card('other', ['R'], 10)];
+    const early = recordSignals({}, pack, 1, rateCard);
+    const late = recordSignals({}, pack, 10, rateCard);
+
+    expect(late.U).toBeGreaterThan(early.U);
+  });
+
+  test('gold cards split their signal between colors and colorless cards add none', () => {
+    const signals = recordSignals({}, [card('gold', ['W', 'B'], 10), card('rock', [], 10)], 4, rateCard);
+
+    expect(signals.W).toBeCloseTo(signals.B);
+    expect(Object.keys(signals)).toEqual(['W', 'B']);
+  });
+
+  test('signals add up across packs', () => {
+    const first = recordSignals({}, [card('a', ['G'], 10)], 5, rateCard);
+    const second = recordSignals(first, [card('b', ['G'], 10)], 5, rateCard);
+
+    expect(second.G).toBeCloseTo(first.G * 2);
+  });
+
+  test('shares and openness are neutral before any signal', () => {
+    expect(getSignalShare({}, 'W')).toBe(0);
+    expect(getColorOpenness({}, 'W')).toBe(1);
+    expect(getSignalShare({ W: 1, U: 3 }, 'U')).toBe(0.75);
+  });
+
+  test('leans drafted color counts toward open colors', () => {
+    const counts = { W: 3, U: 3, B: 0, R: 0, G: 0 };
+    const leaned = leanTowardOpenColors(counts, { U: 4, W: 1 });
+
+    expect(leaned.U).toBeGreaterThan(leaned.W);
+    expect(leaned.B).toBe(-SIGNAL_LEAN);
+    expect(leanTowardOpenColors(counts, {})).toEqual(counts);
+  });
+});
@@ -0,0 +1,89 @@
+// src/utils/synergy.js
+// Mechanic synergies read from Scryfall `oracle_text`, `keywords` and type lines. For each
+// mechanic, enablers are the cards that feed it and payoffs the cards that reward it; a
+// payoff gains value for every enabler already in the pool, and an enabler for every payoff.
+import { getOracleText } from './cardFilter';
+
+const hasKeyword = (card, keyword) => (card.keywords || []).includes(keyword);
+const typeLine = (card) => card.type_line || '';
+const BASIC_TYPES = ['Plains', 'Island', 'Swamp', 'Mountain', 'Forest'];
+
+export const MECHANICS = [
+  {
+    id: 'domain',
+    name: 'domain',
+    // Lands with two or more basic land types, or cards that fetch basics
+    enabler: (card) =>
+      (typeLine(card).includes('Land') && BASIC_TYPES.filter((type) => typeLine(card).includes(type)).length >= 2) ||
+      /search your library for (a|up to \w+) basic land/.test(getOracleText(card)),
+    payoff: (card) => /\bdomain\b|basic land types among lands you control/.test(getOracleText(card)),
+  },
+  {
+    id: 'kicker',
+    name: 'kicker',
+    enabler: (card) => hasKeyword(card, 'Kicker'),
+    payoff: (card) => /kicked spell|cast a kicked/.test(getOracleText(card)),
+  },
+  {
+    id: 'enlist',
+    name: 'enlist',
+    // Enlist wants spare creatures to tap, so token makers feed it
+    enabler: (card) => /create[^.]* creature tokens?/.test(getOracleText(card)),
+    payoff: (card) => hasKeyword(card, 'Enlist'),
+  },
+  {
+    id: 'legendary',
+    name: 'legendary',
+    enabler: (card) => typeLine(card).includes('Legendary'),
+    payoff: (card) => /\b(legendary|historic) spells?\b|legendary creatures? you control|another legendary/.test(getOracleText(card)),
+  },
+  {
+    id: 'spells',
+    name: 'instants and sorceries',
+    enabler: (card) => /\b(Instant|Sorcery)\b/.test(typeLine(card)),
+    payoff: (card) =>
+      /whenever you cast (an|a) (instant or sorcery|noncreature) spell|instant and sorcery cards? in your graveyard/.test(
+        getOracleText(card)
+      ),
+  },
+];
+
+// Score per matching card in the pool, and how many matches count
+const PAYOFF_WEIGHT = 1;
+const ENABLER_WEIGHT = 1.5;
+const MAX_MATCHES = 5;
+
+// Pools only grow by new arrays, so each pool's profile is worked out once
+const profileCache = new WeakMap();
+
+// Enabler and payoff counts per mechanic in a pool
+export const getSynergyProfile = (pool) => {
+  if (profileCache.has(pool)) return profileCache.get(pool);
+
+  const profile = {};
+  MECHANICS.forEach((mechanic) => {
+    profile[mechanic.id] = {
+      enablers: pool.filter(mechanic.enabler).length,
+      payoffs: pool.filter(mechanic.payoff).length,
+    };
+  });
+  profileCache.set(pool, profile);
+  return profile;
+};
+
+// Synergy bonus for adding a card to a pool, with the names of the mechanics it plays into
+export const getSynergy = (card, profile) => {
+  let score = 0;
+  const mechanics = [];
+  MECHANICS.forEach((mechanic) => {
+    const { enablers, payoffs } = profile[mechanic.id];
+    let bonus = 0;
+    if (mechanic.payoff(card)) bonus += PAYOFF_WEIGHT * Math.min(enablers, MAX_MATCHES);
+    if (mechanic.enabler(card)) bonus += ENABLER_WEIGHT * Math.min(payoffs, MAX_MATCHES);
+    if (bonus > 0) {
+      score += bonus;
+      mechanics.push(mechanic.name);
+    }
+  });
+  return { score, mechanics };
+};
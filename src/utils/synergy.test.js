@@ -0,0 +1,61 @@
+import { getSynergyProfile, getSynergy } from './synergy';
+
+describe('Synergy', () => {
+  let nextId = 0;
+  const card = (fields) => ({ id: `card-${nextId++}`, type_line: 'Creature — Human', oracle_text: '', keywords: [], ...fields });
+
+  const triome = () => card({ type_line: 'Land — Plains Island Swamp' });
+  const rampSpell = () => card({ type_line: 'Sorcery', oracle_text: 'Search your library for a basic land card, put it onto the battlefield tapped.' });
+  const domainPayoff = () => card({ oracle_text: 'Domain — This spell costs {1} less to cast for each basic land type among lands you control.' });
+  const kicker = () => card({ keywords: ['Kicker'], oracle_text: 'Kicker {2}{R}' });
+  const kickedPayoff = () => card({ oracle_text: 'Whenever you cast a kicked spell, put a +1/+1 counter on this creature.' });
+  const enlister = () => card({ keywords: ['Enlist'], oracle_text: 'Enlist' });
+  const tokenMaker = () => card({ type_line: 'Sorcery', oracle_text: 'Create two 1/1 white Soldier creature tokens.' });
+  const legend = () => card({ type_line: 'Legendary Creature — Elf' });
+  const legendPayoff = () => card({ oracle_text: 'Whenever you cast a legendary spell, draw a card.' });
+  const vanilla = () => card({});
+
+  test('counts enablers and payoffs per mechanic', () => {
+    const profile = getSynergyProfile([triome(), rampSpell(), domainPayoff(), kicker(), legend()]);
+
+    expect(profile.domain).toEqual({ enablers: 2, payoffs: 1 });
+    expect(profile.kicker).toEqual({ enablers: 1, payoffs: 0 });
+    expect(profile.legendary).toEqual({ enablers: 1, payoffs: 0 });
+    expect(profile.spells).toEqual({ enablers: 1, payoffs: 0 });
+  });
+
+  test('payoffs gain value for every enabler in the pool', () => {
+    const few = getSynergyProfile([triome()]);
+    const many = getSynergyProfile([triome(), triome(), rampSpell()]);
+
+    expect(getSynergy(domainPayoff(), few)).toEqual({ score: 1, mechanics: ['domain'] });
+    expect(getSynergy(domainPayoff(), many).score).toBe(3);
+  });
+
+  test('enablers gain value for every payoff in the pool', () => {
+    const profile = getSynergyProfile([kickedPayoff(), enlister(), legendPayoff()]);
+
+    expect(getSynergy(kicker(), profile).mechanics).toEqual(['kicker']);
+    expect(getSynergy(tokenMaker(), profile).mechanics).toEqual(['enlist']);
+    expect(getSynergy(legend(), profile).score).toBeGreaterThan(0);
+  });
+
+  test('cards with nothing to play off score nothing', () => {
+    const profile = getSynergyProfile([vanilla(), vanilla()]);
+
+    expect(getSynergy(domainPayoff(), profile)).toEqual({ score: 0, mechanics: [] });
+    expect(getSynergy(vanilla(), getSynergyProfile([triome(), kickedPayoff()]))).toEqual({ score: 0, mechanics: [] });
+  });
+
+  test('caps how many matches count', () => {
+    const profile = getSynergyProfile(Array.from({ length: 12 }, triome));
+
+    expect(getSynergy(domainPayoff(), profile).score).toBe(5);
+  });
+
+  test('reuses the profile of an unchanged pool', () => {
+    const pool = [triome()];
+
+    expect(getSynergyProfile(pool)).toBe(getSynergyProfile(pool));
+  });
+});
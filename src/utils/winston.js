@@ -0,0 +1,82 @@
+// src/utils/winston.js
+// Winston draft for two seats: a shuffled stack of cards and three face-down piles.
+// The active seat looks at the piles in order and either takes the pile (which is then
+// refilled with one card from the stack) or passes it (it grows by one card) and looks
+// at the next. Passing the last pile means taking the top card of the stack blind.
+
+import { shuffle } from './random';
+
+export const WINSTON_PILE_COUNT = 3;
+
+// How many blind cards' worth a pile must be before the bot takes it over later piles
+export const WINSTON_EARLY_PILE_MARGIN = 1.5;
+
+// Shuffle the opened packs into one stack and seed each pile with one card
+export const createWinstonState = (cards, rng = Math.random) => {
+  const deck = shuffle(cards, rng);
+  const piles = Array.from({ length: WINSTON_PILE_COUNT }, () => deck.splice(0, 1));
+  return { deck, piles, pileIndex: 0, turn: 0 };
+};
+
+const nextPileIndex = (piles, from) => {
+  for (let i = from; i < piles.length; i++) {
+    if (piles[i].length > 0) return i;
+  }
+  return null;
+};
+
+export const isWinstonOver = (state) =>
+  state.deck.length === 0 && state.piles.every((pile) => pile.length === 0);
+
+// The active seat may pass as long as something is left to fall back on: a later pile,
+// or the stack to add to this pile and draw from
+export const canPassWinstonPile = (state) =>
+  state.deck.length > 0 || nextPileIndex(state.piles, state.pileIndex + 1) !== null;
+
+// Hand the turn to the other seat, starting again from the first non-empty pile
+const endTurn = (state) => ({
+  ...state,
+  pileIndex: nextPileIndex(state.piles, 0) ?? 0,
+  turn: 1 - state.turn,
+});
+
+// Take the pile being looked at; returns the next state and the cards taken
+export const takeWinstonPile = (state) => {
+  const deck = [...state.deck];
+  const taken = state.piles[state.pileIndex];
+  const piles = state.piles.map((pile, i) => (i === state.pileIndex ? deck.splice(0, 1) : pile));
+
+  return { state: endTurn({ ...state, deck, piles }), taken };
+};
+
+// Pass the pile being looked at. Returns the next state and any cards taken, which is
+// only the blind top card when the last pile is passed.
+export const passWinstonPile = (state) => {
+  if (!canPassWinstonPile(state)) {
+    throw new Error('The last pile cannot be passed once the stack is empty.');
+  }
+
+  const deck = [...state.deck];
+  const piles = state.piles.map((pile, i) => (i === state.pileIndex ? [...pile, ...deck.splice(0, 1)] : pile));
+  const next = nextPileIndex(piles, state.pileIndex + 1);
+
+  if (next !== null) {
+    return { state: { ...state, deck, piles, pileIndex: next }, taken: [] };
+  }
+
+  const taken = deck.splice(0, 1);
+  return { state: endTurn({ ...state, deck, piles }), taken };
+};
+
+// Bot decision for the pile being looked at. A pile is worth the sum of its card scores;
+// `blindValue` is the expected score of one unseen card. The last option only has to
+// beat a blind card, earlier piles have to beat what is still to come.
+export const chooseWinstonAction = (state, scoreCard, blindValue) => {
+  if (!canPassWinstonPile(state)) return 'take';
+
+  const pileValue = state.piles[state.pileIndex].reduce((sum, card) => sum + scoreCard(card), 0);
+  const isLastPile = nextPileIndex(state.piles, state.pileIndex + 1) === null;
+  const threshold = blindValue * (isLastPile ? 1 : WINSTON_EARLY_PILE_MARGIN);
+
+  return pileValue >= threshold ? 'take' : 'pass';
+};
@@ -0,0 +1,120 @@
+import {
+  createWinstonState,
+  canPassWinstonPile,
+  takeWinstonPile,
+  passWinstonPile,
+  isWinstonOver,
+  chooseWinstonAction,
+} from './winston';
+import { createRng } from './random';
+
+describe('Winston Draft', () => {
+  const makeCards = (count) => Array.from({ length: count }, (_, i) => ({ id: `card-${i}`, name: `Card ${i}` }));
+  const ids = (cards) => cards.map((card) => card.id);
+
+  describe('createWinstonState', () => {
+    test('starts three one-card piles from the shuffled stack', () => {
+      const state = createWinstonState(makeCards(10), createRng('winston'));
+
+      expect(state.piles.map((pile) => pile.length)).toEqual([1, 1, 1]);
+      expect(state.deck).toHaveLength(7);
+      expect(state.turn).toBe(0);
+      expect(state.pileIndex).toBe(0);
+      expect(new Set([...ids(state.deck), ...ids(state.piles.flat())]).size).toBe(10);
+    });
+
+    test('deals the same stack for the same seed', () => {
+      const a = createWinstonState(makeCards(20), createRng('same'));
+      const b = createWinstonState(makeCards(20), createRng('same'));
+
+      expect(ids(a.deck)).toEqual(ids(b.deck));
+    });
+  });
+
+  describe('takeWinstonPile', () => {
+    test('gives the pile to the active seat, refills it and ends the turn', () => {
+      const state = createWinstonState(makeCards(10), createRng('take'));
+      const { state: next, taken } = takeWinstonPile(state);
+
+      expect(taken).toEqual(state.piles[0]);
+      expect(next.piles[0]).toEqual([state.deck[0]]);
+      expect(next.deck).toHaveLength(6);
+      expect(next.turn).toBe(1);
+      expect(next.pileIndex).toBe(0);
+    });
+  });
+
+  describe('passWinstonPile', () => {
+    test('adds a card to the passed pile and moves to the next', () => {
+      const state = createWinstonState(makeCards(10), createRng('pass'));
+      const { state: next, taken } = passWinstonPile(state);
+
+      expect(taken).toEqual([]);
+      expect(next.piles[0]).toEqual([...state.piles[0], state.deck[0]]);
+      expect(next.pileIndex).toBe(1);
+      expect(next.turn).toBe(0);
+    });
+
+    test('takes the top of the stack blind after passing the last pile', () => {
+      let state = createWinstonState(makeCards(10), createRng('blind'));
+      state = passWinstonPile(state).state;
+      state = passWinstonPile(state).state;
+      const blindCard = state.deck[1];
+      const { state: next, taken } = passWinstonPile(state);
+
+      expect(taken).toEqual([blindCard]);
+      expect(next.piles.map((pile) => pile.length)).toEqual([2, 2, 2]);
+      expect(next.deck).toHaveLength(3);
+      expect(next.turn).toBe(1);
+    });
+
+    test('skips empty piles and cannot pass the last pile once the stack is empty', () => {
+      const state = {
+        deck: [],
+        piles: [[{ id: 'a' }], [], [{ id: 'b' }]],
+        pileIndex: 0,
+        turn: 0,
+      };
+      const { state: next } = passWinstonPile(state);
+
+      expect(next.pileIndex).toBe(2);
+      expect(canPassWinstonPile(next)).toBe(false);
+      expect(() => passWinstonPile(next)).toThrow('The last pile cannot be passed once the stack is empty.');
+    });
+  });
+
+  test('ends once the stack and every pile are empty, with every card taken once', () => {
+    let state = createWinstonState(makeCards(30), createRng('full'));
+    const taken = [];
+
+    while (!isWinstonOver(state)) {
+      const result = canPassWinstonPile(state) && state.piles[state.pileIndex].length < 2
+        ? passWinstonPile(state)
+        : takeWinstonPile(state);
+      taken.push(...result.taken);
+      state = result.state;
+    }
+
+    expect(taken).toHaveLength(30);
+    expect(new Set(ids(taken)).size).toBe(30);
+  });
+
+  describe('chooseWinstonAction', () => {
+    const scoreCard = (card) => card.score;
+    const state = (piles, deck = [{ id: 'x' }]) => ({ deck, piles, pileIndex: 0, turn: 1 });
+
+    test('takes an early pile only when it clearly beats a blind card', () => {
+      expect(chooseWinstonAction(state([[{ score: 14 }], [], [{ score: 1 }]]), scoreCard, 10)).toBe('pass');
+      expect(chooseWinstonAction(state([[{ score: 9 }, { score: 8 }], [], [{ score: 1 }]]), scoreCard, 10)).toBe('take');
+    });
+
+    test('takes the last pile when it is worth at least a blind card', () => {
+      expect(chooseWinstonAction(state([[{ score: 11 }], [], []]), scoreCard, 10)).toBe('take');
+      expect(chooseWinstonAction(state([[{ score: 9 }], [], []]), scoreCard, 10)).toBe('pass');
+    });
+
+    test('takes the pile when it cannot be passed', () => {
+      expect(chooseWinstonAction(state([[{ score: 1 }], [], []], []), scoreCard, 10)).toBe('take');
+    });
+  });
+});